@@ -0,0 +1,209 @@
+/**
+ * Snake Engine
+ * Game rules for the Snake game in post.html, free of the DOM and of timers.
+ * A game is a plain state object advanced one tick at a time by step(state, input),
+ * which never mutates its argument. Food is placed by a seeded random number generator
+ * whose state travels with the game, so the same seed and inputs always replay the same game.
+ */
+
+// Milliseconds per tick at the start of a game, and the fastest the game gets as the score rises
+const SNAKE_BASE_TICK_MS = 100;
+const SNAKE_MIN_TICK_MS = 50;
+const SNAKE_TICK_MS_PER_POINT = 2;
+
+const SNAKE_DIRECTIONS = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+const SNAKE_OPPOSITES = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+/**
+ * Cells of a horizontal or vertical run, for building obstacle layouts
+ */
+function snakeLine(x, y, length, vertical = false) {
+    return Array.from({ length }, (_, i) => (vertical ? { x, y: y + i } : { x: x + i, y }));
+}
+
+// Each mode sets whether the edges wrap around and which cells are walls, given the board size
+const SNAKE_MODES = {
+    classic: { label: 'Classic walls', wrap: false, obstacles: () => [] },
+    wrap: { label: 'Wrap-around', wrap: true, obstacles: () => [] },
+    pillars: {
+        label: 'Obstacles: Pillars',
+        wrap: false,
+        obstacles: (cols, rows) => [[4, 4], [cols - 6, 4], [4, rows - 6], [cols - 6, rows - 6]]
+            .flatMap(([x, y]) => [...snakeLine(x, y, 2), ...snakeLine(x, y + 1, 2)])
+    },
+    bars: {
+        label: 'Obstacles: Bars',
+        wrap: false,
+        obstacles: (cols, rows) => [...snakeLine(4, 5, cols - 8), ...snakeLine(4, rows - 6, cols - 8)]
+    },
+    cross: {
+        label: 'Obstacles: Cross',
+        wrap: false,
+        obstacles: (cols, rows) => {
+            const x = Math.floor(cols / 2);
+            const y = Math.floor(rows / 2);
+            return [
+                ...snakeLine(x, 2, y - 6, true),
+                ...snakeLine(x, y + 4, rows - y - 6, true),
+                ...snakeLine(2, y, x - 6),
+                ...snakeLine(x + 4, y, cols - x - 6)
+            ];
+        }
+    }
+};
+
+class SnakeEngine {
+    /**
+     * Game modes as { id, label } for menus
+     */
+    static getModes() {
+        return Object.keys(SNAKE_MODES).map(id => ({ id, label: SNAKE_MODES[id].label }));
+    }
+
+    /**
+     * Milliseconds until the next tick, shrinking as the score grows
+     */
+    static getTickMs(state) {
+        return Math.max(SNAKE_MIN_TICK_MS, SNAKE_BASE_TICK_MS - state.score * SNAKE_TICK_MS_PER_POINT);
+    }
+
+    /**
+     * Mulberry32: advance a 32-bit seed and return a number in [0, 1) with the next seed
+     * @returns {{value: number, seed: number}}
+     */
+    static nextRandom(seed) {
+        const next = (seed + 0x6d2b79f5) >>> 0;
+        let t = next;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return { value: ((t ^ (t >>> 14)) >>> 0) / 4294967296, seed: next };
+    }
+
+    /**
+     * Pick a free cell for the food
+     * @param {Array} occupied - Cells taken by the snake and obstacles
+     * @returns {{food: Object|null, seed: number}} - food is null when there is no free cell left
+     */
+    static placeFood(occupied, cols, rows, seed) {
+        const taken = new Set(occupied.map(cell => cell.y * cols + cell.x));
+        const free = [];
+        for (let i = 0; i < cols * rows; i++) {
+            if (!taken.has(i)) free.push(i);
+        }
+
+        if (free.length === 0) return { food: null, seed };
+
+        const random = SnakeEngine.nextRandom(seed);
+        const index = free[Math.floor(random.value * free.length)];
+
+        return { food: { x: index % cols, y: Math.floor(index / cols) }, seed: random.seed };
+    }
+
+    /**
+     * New game. The snake waits on its start cell until the first direction is given.
+     * @param {Object} [options]
+     * @param {number} [options.cols=20]
+     * @param {number} [options.rows=20]
+     * @param {number} [options.seed=1] - Pass a fresh seed for a different game each time
+     * @param {string} [options.mode='classic'] - One of getModes()
+     */
+    static createGame(options = {}) {
+        const { cols = 20, rows = 20, seed = 1 } = options;
+        const mode = SNAKE_MODES[options.mode] ? options.mode : 'classic';
+        const snake = [{ x: Math.floor(cols / 2) - 1, y: Math.floor(rows / 2) }];
+
+        // Layouts keep clear of the start cell, but drop anything off a small board or under the snake
+        const obstacles = SNAKE_MODES[mode].obstacles(cols, rows).filter(cell =>
+            cell.x >= 0 && cell.x < cols && cell.y >= 0 && cell.y < rows &&
+            !(cell.x === snake[0].x && cell.y === snake[0].y));
+        const placed = SnakeEngine.placeFood([...snake, ...obstacles], cols, rows, seed >>> 0);
+
+        return {
+            cols,
+            rows,
+            mode,
+            obstacles,
+            snake,
+            direction: null,
+            food: placed.food,
+            score: 0,
+            status: 'ready',
+            seed: placed.seed,
+            tick: 0
+        };
+    }
+
+    /**
+     * Advance the game by one tick
+     * @param {Object} state - From createGame() or a previous step()
+     * @param {string|null} [input] - 'up', 'down', 'left' or 'right' to turn; reversing onto the body is ignored
+     * @returns {Object} - The next state; status is 'playing', 'over', or 'won' once no free cell is left
+     */
+    static step(state, input = null) {
+        if (state.status === 'over' || state.status === 'won') return state;
+
+        let direction = state.direction;
+        if (SNAKE_DIRECTIONS[input] && input !== SNAKE_OPPOSITES[direction]) {
+            direction = input;
+        }
+        if (!direction) return state;
+
+        const { cols, rows, snake, food, obstacles } = state;
+        const move = SNAKE_DIRECTIONS[direction];
+        let head = { x: snake[0].x + move.x, y: snake[0].y + move.y };
+        if (SNAKE_MODES[state.mode].wrap) {
+            head = { x: (head.x + cols) % cols, y: (head.y + rows) % rows };
+        }
+        const eats = food !== null && head.x === food.x && head.y === food.y;
+
+        // Unless it grows, the tail moves out of the way this tick and the head may follow it
+        const body = eats ? snake : snake.slice(0, -1);
+        const hitsEdge = head.x < 0 || head.x >= cols || head.y < 0 || head.y >= rows;
+        const hitsCell = cell => cell.x === head.x && cell.y === head.y;
+
+        const next = { ...state, direction, status: 'playing', tick: state.tick + 1 };
+        if (hitsEdge || body.some(hitsCell) || obstacles.some(hitsCell)) {
+            return { ...next, status: 'over' };
+        }
+
+        next.snake = [head, ...body];
+        if (eats) {
+            const placed = SnakeEngine.placeFood([...next.snake, ...obstacles], cols, rows, state.seed);
+            next.food = placed.food;
+            next.seed = placed.seed;
+            next.score = state.score + 1;
+            if (!placed.food) next.status = 'won';
+        }
+
+        return next;
+    }
+
+    /**
+     * Replay a recorded game
+     * @param {Object} recording - { options, inputs } where options went to createGame() and inputs holds one entry per tick
+     * @param {Function} [onStep] - Called with each state after its tick
+     * @returns {Object} - The final state
+     */
+    static replay(recording, onStep) {
+        let state = SnakeEngine.createGame(recording.options);
+        for (const input of recording.inputs) {
+            state = SnakeEngine.step(state, input);
+            if (onStep) onStep(state);
+        }
+        return state;
+    }
+}
+
+// Export for Node.js, or for snake-game.js in the page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SnakeEngine };
+} else {
+    self.SnakeEngine = SnakeEngine;
+}
@@ -0,0 +1,302 @@
+/**
+ * Snake Game
+ * Runs SnakeEngine in the page: a canvas renderer, and the timer that feeds one queued
+ * turn from the snake-input.js adapters into step() per tick. Every game is recorded so
+ * it can be replayed with SnakeEngine.replay(). Ticks speed up with the score, P, Space or
+ * Start pauses, and scores that make the mode's top 10 are saved with a name through SnakeHighScores.
+ */
+
+class SnakeRenderer {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {number} cellSize - Pixels per board cell
+     */
+    constructor(canvas, cellSize) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.cellSize = cellSize;
+    }
+
+    draw(state) {
+        const { ctx, cellSize } = this;
+
+        ctx.fillStyle = 'black';
+        ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+        ctx.fillStyle = 'gray';
+        for (const cell of state.obstacles) {
+            ctx.fillRect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+        }
+
+        ctx.fillStyle = 'blue';
+        for (const cell of state.snake) {
+            ctx.fillRect(cell.x * cellSize, cell.y * cellSize, cellSize, cellSize);
+        }
+
+        if (state.food) {
+            ctx.fillStyle = 'red';
+            ctx.beginPath();
+            ctx.arc((state.food.x + 0.5) * cellSize, (state.food.y + 0.5) * cellSize, cellSize / 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.fillStyle = 'white';
+        ctx.font = '20px Arial';
+        ctx.fillText('Score: ' + state.score, cellSize, cellSize);
+    }
+
+    /**
+     * Dim the board and write a message over it
+     * @param {string} title
+     * @param {string[]} [lines] - Smaller text under the title
+     */
+    drawOverlay(title, lines = []) {
+        const { ctx, canvas } = this;
+        const centerX = canvas.width / 2;
+        const top = canvas.height / 2 - (lines.length * 28) / 2;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+        ctx.fillStyle = 'white';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 36px Arial';
+        ctx.fillText(title, centerX, top);
+
+        ctx.font = '20px Arial';
+        lines.forEach((line, i) => ctx.fillText(line, centerX, top + 40 + i * 28));
+        ctx.textAlign = 'start';
+    }
+}
+
+class SnakeGame {
+    /**
+     * @param {Object} options
+     * @param {HTMLCanvasElement} options.canvas
+     * @param {HTMLElement} [options.playAgainButton] - Shown when the game ends
+     * @param {HTMLSelectElement} [options.modeSelect] - Filled with the game modes
+     * @param {HTMLFormElement} [options.scoreForm] - Name entry, shown for a new high score
+     * @param {HTMLInputElement} [options.nameInput] - Name field inside scoreForm
+     * @param {HTMLElement} [options.scoreTitle] - Heading of the high-score table
+     * @param {HTMLOListElement} [options.scoreList] - High-score table of the selected mode
+     * @param {number} [options.cellSize=20]
+     */
+    constructor(options) {
+        this.canvas = options.canvas;
+        this.playAgainButton = options.playAgainButton || null;
+        this.modeSelect = options.modeSelect || null;
+        this.scoreForm = options.scoreForm || null;
+        this.nameInput = options.nameInput || null;
+        this.scoreTitle = options.scoreTitle || null;
+        this.scoreList = options.scoreList || null;
+        this.cellSize = options.cellSize || 20;
+
+        this.renderer = new SnakeRenderer(this.canvas, this.cellSize);
+        this.queue = new SnakeInputQueue(() => (this.state ? this.state.direction : null));
+        this.inputs = [
+            new SnakeKeyboardInput(this.canvas, this.queue, () => this.togglePause()),
+            new SnakeSwipeInput(this.canvas, this.queue),
+            new SnakeGamepadInput(this.queue, () => this.handleStartButton())
+        ];
+        this.inputs.forEach(input => input.attach());
+        this.highScores = new SnakeHighScores();
+
+        this.state = null;
+        this.recording = null;
+        this.timer = null;
+        this.paused = false;
+
+        if (this.playAgainButton) {
+            this.playAgainButton.addEventListener('click', () => this.start());
+        }
+
+        if (this.modeSelect) {
+            for (const { id, label } of SnakeEngine.getModes()) {
+                const option = document.createElement('option');
+                option.value = id;
+                option.textContent = label;
+                this.modeSelect.appendChild(option);
+            }
+            this.modeSelect.addEventListener('change', () => {
+                // Hand the arrow keys back to the game
+                this.modeSelect.blur();
+                this.start();
+            });
+        }
+
+        if (this.scoreForm) {
+            this.scoreForm.addEventListener('submit', (e) => this.handleScoreSubmit(e));
+        }
+    }
+
+    getMode() {
+        return this.modeSelect ? this.modeSelect.value : 'classic';
+    }
+
+    /**
+     * Start a new game with a fresh seed
+     */
+    start() {
+        this.stop();
+
+        const options = {
+            cols: Math.floor(this.canvas.width / this.cellSize),
+            rows: Math.floor(this.canvas.height / this.cellSize),
+            seed: Math.floor(Math.random() * 0x100000000),
+            mode: this.getMode()
+        };
+        this.state = SnakeEngine.createGame(options);
+        this.recording = { options, inputs: [] };
+        this.queue.clear();
+        this.paused = false;
+
+        if (this.playAgainButton) this.playAgainButton.style.display = 'none';
+        if (this.scoreForm) this.scoreForm.hidden = true;
+        this.renderScores();
+
+        this.renderer.draw(this.state);
+        this.canvas.focus({ preventScroll: true });
+        this.schedule();
+    }
+
+    stop() {
+        clearTimeout(this.timer);
+        this.timer = null;
+    }
+
+    schedule() {
+        this.timer = setTimeout(() => this.tick(), SnakeEngine.getTickMs(this.state));
+    }
+
+    /**
+     * Pause or resume a game in progress
+     */
+    togglePause() {
+        if (!this.state || this.state.status !== 'playing') return;
+
+        this.paused = !this.paused;
+        if (this.paused) {
+            this.stop();
+            this.renderer.draw(this.state);
+            this.renderer.drawOverlay('Paused', ['Press P to resume']);
+        } else {
+            this.queue.clear();
+            this.renderer.draw(this.state);
+            this.schedule();
+        }
+    }
+
+    /**
+     * Start on a gamepad pauses, or begins a new game once this one is over
+     */
+    handleStartButton() {
+        if (this.state && (this.state.status === 'over' || this.state.status === 'won')) {
+            this.start();
+        } else {
+            this.togglePause();
+        }
+    }
+
+    tick() {
+        const input = this.queue.take();
+        this.recording.inputs.push(input);
+        this.state = SnakeEngine.step(this.state, input);
+        this.renderer.draw(this.state);
+
+        if (this.state.status === 'over' || this.state.status === 'won') {
+            this.finish();
+        } else {
+            this.schedule();
+        }
+    }
+
+    finish() {
+        this.stop();
+
+        const { score, status, mode } = this.state;
+        const qualifies = this.highScores.qualifies(mode, score);
+        const lines = [`Score: ${score}`];
+        if (qualifies) lines.push('New high score!');
+        this.renderer.drawOverlay(status === 'won' ? 'You Win!' : 'Game Over', lines);
+
+        if (this.playAgainButton) this.playAgainButton.style.display = 'block';
+
+        if (qualifies && this.scoreForm && this.nameInput) {
+            this.scoreForm.hidden = false;
+            this.nameInput.value = this.highScores.getLastName();
+            this.nameInput.focus();
+            this.nameInput.select();
+        }
+    }
+
+    handleScoreSubmit(e) {
+        e.preventDefault();
+
+        const name = this.nameInput.value.trim();
+        if (!name) return;
+
+        const { mode, score } = this.state;
+        const rank = this.highScores.add(mode, name, score);
+        this.scoreForm.hidden = true;
+        this.renderScores(rank);
+        this.canvas.focus({ preventScroll: true });
+    }
+
+    /**
+     * Show the table of the selected mode
+     * @param {number} [highlight] - Index of an entry to mark as just added
+     */
+    renderScores(highlight = -1) {
+        if (!this.scoreList) return;
+
+        const mode = this.getMode();
+        if (this.scoreTitle) {
+            const label = SnakeEngine.getModes().find(option => option.id === mode).label;
+            this.scoreTitle.textContent = `High Scores: ${label}`;
+        }
+
+        this.scoreList.innerHTML = '';
+        const table = this.highScores.getTable(mode);
+        if (table.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'empty';
+            empty.textContent = 'No scores yet';
+            this.scoreList.appendChild(empty);
+            return;
+        }
+
+        table.forEach((entry, i) => {
+            const item = document.createElement('li');
+            if (i === highlight) item.className = 'latest';
+
+            const name = document.createElement('span');
+            name.textContent = entry.name;
+            const score = document.createElement('span');
+            score.textContent = entry.score;
+
+            item.append(name, score);
+            this.scoreList.appendChild(item);
+        });
+    }
+
+    /**
+     * Seed and inputs of the current or last game, for SnakeEngine.replay()
+     */
+    getRecording() {
+        return { options: { ...this.recording.options }, inputs: this.recording.inputs.slice() };
+    }
+}
+
+// Start the game once the page is ready
+document.addEventListener('DOMContentLoaded', () => {
+    window.snakeGame = new SnakeGame({
+        canvas: document.getElementById('gameCanvas'),
+        playAgainButton: document.getElementById('playAgainButton'),
+        modeSelect: document.getElementById('snakeMode'),
+        scoreForm: document.getElementById('highScoreForm'),
+        nameInput: document.getElementById('highScoreName'),
+        scoreTitle: document.getElementById('highScoreTitle'),
+        scoreList: document.getElementById('highScoreList')
+    });
+    window.snakeGame.start();
+});
@@ -0,0 +1,234 @@
+/**
+ * Snake Input
+ * Keyboard, swipe and gamepad adapters for SnakeGame. They all feed one SnakeInputQueue,
+ * and the game takes a single turn from it per tick, so quick presses play out over the
+ * next ticks instead of overwriting each other. Load after snake-engine.js.
+ */
+
+const SNAKE_KEYS = {
+    ArrowUp: 'up',
+    ArrowDown: 'down',
+    ArrowLeft: 'left',
+    ArrowRight: 'right',
+    w: 'up',
+    s: 'down',
+    a: 'left',
+    d: 'right',
+    W: 'up',
+    S: 'down',
+    A: 'left',
+    D: 'right'
+};
+
+const SNAKE_PAUSE_KEYS = ['p', 'P', ' '];
+
+// CSS pixels a finger has to travel before it counts as a swipe
+const SNAKE_SWIPE_DISTANCE = 24;
+
+// Standard gamepad mapping: d-pad buttons, Start, and how far the left stick must lean
+const SNAKE_GAMEPAD_BUTTONS = { 12: 'up', 13: 'down', 14: 'left', 15: 'right' };
+const SNAKE_GAMEPAD_START = 9;
+const SNAKE_STICK_DEADZONE = 0.5;
+
+class SnakeInputQueue {
+    /**
+     * @param {Function} getDirection - Returns the snake's current direction, or null before it moves
+     * @param {number} [limit=3] - Turns kept ahead; presses beyond that are dropped
+     */
+    constructor(getDirection, limit = 3) {
+        this.getDirection = getDirection;
+        this.limit = limit;
+        this.turns = [];
+    }
+
+    /**
+     * Queue a turn unless it repeats or reverses the direction the snake will have by then
+     */
+    push(direction) {
+        const last = this.turns.length > 0 ? this.turns[this.turns.length - 1] : this.getDirection();
+        if (direction === last || direction === SNAKE_OPPOSITES[last]) return;
+        if (this.turns.length >= this.limit) return;
+
+        this.turns.push(direction);
+    }
+
+    /**
+     * Next turn for this tick, or null
+     */
+    take() {
+        return this.turns.shift() || null;
+    }
+
+    clear() {
+        this.turns = [];
+    }
+}
+
+class SnakeKeyboardInput {
+    /**
+     * @param {HTMLElement} target - Focusable element that owns the game's keys
+     * @param {SnakeInputQueue} queue
+     * @param {Function} onPause - Called when a pause key is pressed
+     */
+    constructor(target, queue, onPause) {
+        this.target = target;
+        this.queue = queue;
+        this.onPause = onPause;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+    }
+
+    attach() {
+        this.target.addEventListener('keydown', this.handleKeyDown);
+    }
+
+    detach() {
+        this.target.removeEventListener('keydown', this.handleKeyDown);
+    }
+
+    handleKeyDown(event) {
+        const direction = SNAKE_KEYS[event.key];
+        const pause = SNAKE_PAUSE_KEYS.includes(event.key);
+        if (!direction && !pause) return;
+
+        // Arrows and Space would scroll the page
+        event.preventDefault();
+        if (event.repeat) return;
+
+        if (pause) {
+            this.onPause();
+        } else {
+            this.queue.push(direction);
+        }
+    }
+}
+
+class SnakeSwipeInput {
+    /**
+     * @param {HTMLElement} target - Surface to swipe on; its touch-action should be none
+     * @param {SnakeInputQueue} queue
+     */
+    constructor(target, queue) {
+        this.target = target;
+        this.queue = queue;
+        this.start = null;
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    attach() {
+        this.target.addEventListener('pointerdown', this.handlePointerDown);
+        this.target.addEventListener('pointermove', this.handlePointerMove);
+        this.target.addEventListener('pointerup', this.handlePointerUp);
+        this.target.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    detach() {
+        this.target.removeEventListener('pointerdown', this.handlePointerDown);
+        this.target.removeEventListener('pointermove', this.handlePointerMove);
+        this.target.removeEventListener('pointerup', this.handlePointerUp);
+        this.target.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    handlePointerDown(event) {
+        if (event.pointerType === 'mouse') return;
+        this.start = { x: event.clientX, y: event.clientY, id: event.pointerId };
+    }
+
+    /**
+     * Turn as soon as the finger has moved far enough, then measure again from there,
+     * so one continuous gesture can chain several turns
+     */
+    handlePointerMove(event) {
+        if (!this.start || event.pointerId !== this.start.id) return;
+
+        const dx = event.clientX - this.start.x;
+        const dy = event.clientY - this.start.y;
+        if (Math.max(Math.abs(dx), Math.abs(dy)) < SNAKE_SWIPE_DISTANCE) return;
+
+        if (Math.abs(dx) > Math.abs(dy)) {
+            this.queue.push(dx > 0 ? 'right' : 'left');
+        } else {
+            this.queue.push(dy > 0 ? 'down' : 'up');
+        }
+        this.start = { ...this.start, x: event.clientX, y: event.clientY };
+    }
+
+    handlePointerUp(event) {
+        if (this.start && event.pointerId === this.start.id) this.start = null;
+    }
+}
+
+class SnakeGamepadInput {
+    /**
+     * @param {SnakeInputQueue} queue
+     * @param {Function} onStart - Called when Start is pressed
+     */
+    constructor(queue, onStart) {
+        this.queue = queue;
+        this.onStart = onStart;
+        this.frame = null;
+        this.held = { direction: null, start: false };
+        this.poll = this.poll.bind(this);
+        this.handleConnected = this.handleConnected.bind(this);
+    }
+
+    attach() {
+        if (!navigator.getGamepads) return;
+
+        window.addEventListener('gamepadconnected', this.handleConnected);
+        // A pad already in use before the page loaded only shows up once polled
+        this.handleConnected();
+    }
+
+    detach() {
+        window.removeEventListener('gamepadconnected', this.handleConnected);
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    handleConnected() {
+        if (this.frame === null) this.frame = requestAnimationFrame(this.poll);
+    }
+
+    /**
+     * Read every pad once per animation frame and act on newly pressed directions and Start
+     */
+    poll() {
+        const pads = Array.from(navigator.getGamepads()).filter(Boolean);
+        if (pads.length === 0) {
+            this.frame = null;
+            return;
+        }
+
+        let direction = null;
+        let start = false;
+        for (const pad of pads) {
+            direction = direction || this.readDirection(pad);
+            start = start || Boolean(pad.buttons[SNAKE_GAMEPAD_START] && pad.buttons[SNAKE_GAMEPAD_START].pressed);
+        }
+
+        if (direction && direction !== this.held.direction) this.queue.push(direction);
+        if (start && !this.held.start) this.onStart();
+        this.held = { direction, start };
+
+        this.frame = requestAnimationFrame(this.poll);
+    }
+
+    readDirection(pad) {
+        for (const [index, direction] of Object.entries(SNAKE_GAMEPAD_BUTTONS)) {
+            if (pad.buttons[index] && pad.buttons[index].pressed) return direction;
+        }
+
+        const [x = 0, y = 0] = pad.axes;
+        if (Math.max(Math.abs(x), Math.abs(y)) < SNAKE_STICK_DEADZONE) return null;
+        if (Math.abs(x) > Math.abs(y)) return x > 0 ? 'right' : 'left';
+        return y > 0 ? 'down' : 'up';
+    }
+}
+
+// Export for use in snake-game.js
+window.SnakeInputQueue = SnakeInputQueue;
+window.SnakeKeyboardInput = SnakeKeyboardInput;
+window.SnakeSwipeInput = SnakeSwipeInput;
+window.SnakeGamepadInput = SnakeGamepadInput;
@@ -0,0 +1,101 @@
+/**
+ * Snake High Scores
+ * Top-10 table per game mode, kept in localStorage with the last name entered.
+ * Storage can be unavailable (private browsing, blocked cookies); the table then lives for the page only.
+ */
+
+const SNAKE_SCORES_KEY = 'snakeHighScores';
+const SNAKE_NAME_KEY = 'snakePlayerName';
+const SNAKE_SCORES_LIMIT = 10;
+
+class SnakeHighScores {
+    constructor(storage = SnakeHighScores.getLocalStorage()) {
+        this.storage = storage;
+        this.tables = this.read();
+    }
+
+    /**
+     * localStorage, or null where even reading the property throws
+     */
+    static getLocalStorage() {
+        try {
+            return window.localStorage;
+        } catch (error) {
+            console.error('localStorage is unavailable:', error);
+            return null;
+        }
+    }
+
+    read() {
+        if (!this.storage) return {};
+        try {
+            const tables = JSON.parse(this.storage.getItem(SNAKE_SCORES_KEY));
+            return tables && typeof tables === 'object' ? tables : {};
+        } catch (error) {
+            console.error('Could not read high scores:', error);
+            return {};
+        }
+    }
+
+    write() {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(SNAKE_SCORES_KEY, JSON.stringify(this.tables));
+        } catch (error) {
+            console.error('Could not save high scores:', error);
+        }
+    }
+
+    /**
+     * Best scores first, as { name, score, date }
+     */
+    getTable(mode) {
+        return Array.isArray(this.tables[mode]) ? this.tables[mode] : [];
+    }
+
+    /**
+     * Whether a score would make it onto the table
+     */
+    qualifies(mode, score) {
+        const table = this.getTable(mode);
+        return score > 0 && (table.length < SNAKE_SCORES_LIMIT || score > table[table.length - 1].score);
+    }
+
+    /**
+     * Add a score; ties keep the earlier entry ahead
+     * @returns {number} - Index of the new entry, or -1 when it did not make the table
+     */
+    add(mode, name, score) {
+        const entry = { name, score, date: new Date().toISOString() };
+        const table = [...this.getTable(mode), entry]
+            .sort((a, b) => b.score - a.score)
+            .slice(0, SNAKE_SCORES_LIMIT);
+
+        this.tables[mode] = table;
+        this.write();
+        this.setLastName(name);
+
+        return table.indexOf(entry);
+    }
+
+    getLastName() {
+        if (!this.storage) return '';
+        try {
+            return this.storage.getItem(SNAKE_NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    setLastName(name) {
+        if (!this.storage) return;
+        try {
+            this.storage.setItem(SNAKE_NAME_KEY, name);
+        } catch (error) {
+            console.error('Could not save player name:', error);
+        }
+    }
+}
+
+// Export for use in snake-game.js
+window.SnakeHighScores = SnakeHighScores;
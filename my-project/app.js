@@ -3,45 +3,248 @@
  * Main application logic for the face morphing web app
  */
 
+// Per-feature presets in slider percent: base for the main sliders and unlisted regions
+const REGION_PRESETS = {
+    eyes: { base: 0, regions: { eyes: 100 } },
+    nose: { base: 0, regions: { nose: 100 } },
+    mouth: { base: 0, regions: { mouth: 100 } },
+    features: { base: 0, regions: { brows: 100, eyes: 100, nose: 100, mouth: 100 } },
+    outline: { base: 0, regions: { jaw: 100 } }
+};
+
+// Every app on the page, so that with several of them a paste or undo key only goes to one
+const FACE_MERGE_APPS = new Set();
+
 class FaceMergeApp {
-    constructor() {
-        this.morpher = new FaceMorpher();
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.modelUrl='models'] - Base path of the face-api.js model weights
+     * @param {Object} [options.provider] - Landmark provider (see landmark-providers.js); defaults to face-api.js
+     * @param {Function} [options.getUserMedia] - Camera stream factory (see camera-source.js), e.g. a fake stream
+     * @param {Document|ShadowRoot} [options.root=document] - Where the app's markup lives
+     * @param {string} [options.workerUrl='morph-worker.js'] - URL of the morph worker script
+     * @param {boolean} [options.autosave=true] - Keep the session in IndexedDB and restore it on load
+     * @param {Function} [options.onReady] - Called once the models have loaded
+     * @param {Function} [options.onLoadError] - Called with the Error if the models fail to load
+     * @param {Function} [options.onMorphComplete] - Called with the result canvas after every render
+     * @param {Function} [options.onError] - Called with each error message shown to the user
+     */
+    constructor(options = {}) {
+        this.provider = options.provider || new FaceApiLandmarkProvider({ modelUrl: options.modelUrl });
+        this.getUserMedia = options.getUserMedia;
+        this.root = options.root || document;
+        this.workerUrl = options.workerUrl;
+        this.onReady = options.onReady || (() => {});
+        this.onLoadError = options.onLoadError || (() => {});
+        this.onMorphComplete = options.onMorphComplete || (() => {});
+        this.onError = options.onError || (() => {});
+
+        // Prefer the GPU renderer; otherwise keep the CPU renderer off the main thread
+        this.morpher = WebGLMorpher.isSupported() ? new WebGLMorpher() : new FaceMorpher();
+        this.exporter = new MorphExporter(this.morpher);
+        this.timeline = new MorphTimeline(this.morpher);
+        this.timelineFrame = null;
+        this.swapper = new FaceSwapper(this.morpher);
+        this.workerMorpher = this.morpher instanceof WebGLMorpher ? null : this.createWorkerMorpher();
+        this.workerSources = null;
         this.face1 = null;
         this.face2 = null;
         this.landmarks1 = null;
         this.landmarks2 = null;
+        this.mode = 'pair';
         this.modelsLoaded = false;
+        this.projectStore = options.autosave !== false && ProjectStore.isSupported() ? new ProjectStore() : null;
+        this.autosaveTimer = null;
+        this.restoring = false;
+        this.camera = null;
+        this.cameraSlot = null;
+        this.imageInput = new ImageInput();
+        this.hoverSlot = null;
+        this.pointerInside = false;
 
         this.initElements();
+        // Control values from the markup, for newProject()
+        this.defaultSettings = this.getSettings();
+        this.faceList = new FaceList(this.faceListEl, {
+            imageInput: this.imageInput,
+            detect: (img) => this.detectLandmarks(img),
+            onChange: () => this.handleFaceListChange()
+        });
+        this.keyframeList = new KeyframeList(this.keyframeListEl, {
+            imageInput: this.imageInput,
+            detect: (img) => this.detectLandmarks(img),
+            onChange: () => this.handleKeyframeChange()
+        });
+        this.overlays = {
+            1: new PreviewOverlay(this.upload1),
+            2: new PreviewOverlay(this.upload2)
+        };
+        this.pickers = {
+            1: new FacePicker(new PreviewOverlay(this.upload1, 'face-picker')),
+            2: new FacePicker(new PreviewOverlay(this.upload2, 'face-picker'))
+        };
+        this.detections = { 1: [], 2: [] };
+        this.editor = new LandmarkEditor({
+            overlays: this.overlays,
+            morpher: this.morpher,
+            onChange: (slot, landmarks) => this.handleLandmarkEdit(slot, landmarks)
+        });
+        this.diagnostics = new MorphDiagnostics({
+            morpher: this.morpher,
+            previewOverlays: {
+                1: new PreviewOverlay(this.upload1, 'diagnostics-overlay'),
+                2: new PreviewOverlay(this.upload2, 'diagnostics-overlay')
+            },
+            resultOverlay: new PreviewOverlay(this.resultFrame, 'diagnostics-overlay'),
+            summaryEl: this.diagnosticsSummary,
+            infoEl: this.diagnosticsInfo,
+            warningsEl: this.diagnosticsWarnings
+        });
+        this.diagnostics.resultOverlay.setImage(this.resultCanvas);
         this.initEventListeners();
+        FACE_MERGE_APPS.add(this);
         this.loadModels();
     }
 
     initElements() {
-        this.loadingEl = document.getElementById('loading');
-        this.appEl = document.getElementById('app');
-        this.errorEl = document.getElementById('error');
+        this.loadingEl = this.root.getElementById('loading');
+        this.loadingStatus = this.root.getElementById('loadingStatus');
+        this.loadErrorEl = this.root.getElementById('loadError');
+        this.loadErrorMessage = this.root.getElementById('loadErrorMessage');
+        this.retryBtn = this.root.getElementById('retryBtn');
+        this.appEl = this.root.getElementById('app');
+        this.errorEl = this.root.getElementById('error');
+
+        this.modeTabs = this.root.querySelectorAll('.mode-tab');
+        this.newProjectBtn = this.root.getElementById('newProjectBtn');
+        this.openProjectBtn = this.root.getElementById('openProjectBtn');
+        this.saveProjectBtn = this.root.getElementById('saveProjectBtn');
+        this.projectFile = this.root.getElementById('projectFile');
+        this.pairSection = this.root.getElementById('pairSection');
+        this.averageSection = this.root.getElementById('averageSection');
+        this.faceListEl = this.root.getElementById('faceList');
+        this.averageAdd = this.root.getElementById('averageAdd');
+        this.averageFiles = this.root.getElementById('averageFiles');
+        this.timelineSection = this.root.getElementById('timelineSection');
+        this.keyframeListEl = this.root.getElementById('keyframeList');
+        this.timelineAdd = this.root.getElementById('timelineAdd');
+        this.timelineFiles = this.root.getElementById('timelineFiles');
+
+        this.editorToolbar = this.root.getElementById('editorToolbar');
+        this.editLandmarksBtn = this.root.getElementById('editLandmarksBtn');
+        this.addPointBtn = this.root.getElementById('addPointBtn');
+        this.undoBtn = this.root.getElementById('undoBtn');
+        this.redoBtn = this.root.getElementById('redoBtn');
 
-        this.upload1 = document.getElementById('upload1');
-        this.upload2 = document.getElementById('upload2');
-        this.file1 = document.getElementById('file1');
-        this.file2 = document.getElementById('file2');
-        this.preview1 = document.getElementById('preview1');
-        this.preview2 = document.getElementById('preview2');
+        this.upload1 = this.root.getElementById('upload1');
+        this.upload2 = this.root.getElementById('upload2');
+        this.file1 = this.root.getElementById('file1');
+        this.file2 = this.root.getElementById('file2');
+        this.preview1 = this.root.getElementById('preview1');
+        this.preview2 = this.root.getElementById('preview2');
+        this.cameraBar = this.root.getElementById('cameraBar');
+        this.cameraBtn1 = this.root.getElementById('cameraBtn1');
+        this.cameraBtn2 = this.root.getElementById('cameraBtn2');
+        this.snapshotBtn = this.root.getElementById('snapshotBtn');
 
-        this.controls = document.getElementById('controls');
-        this.blendSlider = document.getElementById('blendSlider');
-        this.blendValue = document.getElementById('blendValue');
+        this.controls = this.root.getElementById('controls');
+        this.blendControls = this.root.getElementById('blendControls');
+        this.shapeSlider = this.root.getElementById('shapeSlider');
+        this.shapeValue = this.root.getElementById('shapeValue');
+        this.textureSlider = this.root.getElementById('textureSlider');
+        this.textureValue = this.root.getElementById('textureValue');
+        this.regionBlend = this.root.getElementById('regionBlend');
+        this.regionSettings = this.root.getElementById('regionSettings');
+        this.regionPreset = this.root.getElementById('regionPreset');
+        this.regionSliders = this.root.querySelectorAll('.region-slider');
+        this.swapControls = this.root.getElementById('swapControls');
+        this.featherSlider = this.root.getElementById('featherSlider');
+        this.colorMatch = this.root.getElementById('colorMatch');
+        this.timelineControls = this.root.getElementById('timelineControls');
+        this.timelinePlayBtn = this.root.getElementById('timelinePlayBtn');
+        this.timelineScrub = this.root.getElementById('timelineScrub');
+        this.timelineTime = this.root.getElementById('timelineTime');
+        this.framingControls = this.root.getElementById('framingControls');
+        this.outputSize = this.root.getElementById('outputSize');
+        this.fitMode = this.root.getElementById('fitMode');
+        this.backgroundLabel = this.root.getElementById('backgroundLabel');
+        this.backgroundMode = this.root.getElementById('backgroundMode');
+        this.backgroundColorLabel = this.root.getElementById('backgroundColorLabel');
+        this.backgroundColor = this.root.getElementById('backgroundColor');
+        this.alignFaces = this.root.getElementById('alignFaces');
+        this.alignSettings = this.root.getElementById('alignSettings');
+        this.alignSize = this.root.getElementById('alignSize');
+        this.alignX = this.root.getElementById('alignX');
+        this.alignY = this.root.getElementById('alignY');
 
-        this.resultSection = document.getElementById('result-section');
-        this.resultCanvas = document.getElementById('resultCanvas');
-        this.downloadBtn = document.getElementById('downloadBtn');
+        this.resultSection = this.root.getElementById('result-section');
+        this.resultFrame = this.root.getElementById('resultFrame');
+        this.resultCanvas = this.root.getElementById('resultCanvas');
+        this.downloadBtn = this.root.getElementById('downloadBtn');
+
+        this.exportPanel = this.root.getElementById('exportPanel');
+        this.exportFrames = this.root.getElementById('exportFrames');
+        this.exportFps = this.root.getElementById('exportFps');
+        this.exportHold = this.root.getElementById('exportHold');
+        this.exportPingPong = this.root.getElementById('exportPingPong');
+        this.pairExportOptions = this.exportPanel.querySelectorAll('.pair-export-option');
+        this.exportGifBtn = this.root.getElementById('exportGifBtn');
+        this.exportWebmBtn = this.root.getElementById('exportWebmBtn');
+        this.exportZipBtn = this.root.getElementById('exportZipBtn');
+        this.exportStatus = this.root.getElementById('exportStatus');
+
+        this.diagnosticsPanel = this.root.getElementById('diagnosticsPanel');
+        this.diagnosticsSummary = this.root.getElementById('diagnosticsSummary');
+        this.diagnosticsInfo = this.root.getElementById('diagnosticsInfo');
+        this.diagnosticsWarnings = this.root.getElementById('diagnosticsWarnings');
+        this.showLandmarks = this.root.getElementById('showLandmarks');
+        this.showMesh = this.root.getElementById('showMesh');
+        this.showBadTriangles = this.root.getElementById('showBadTriangles');
     }
 
     initEventListeners() {
-        // Upload box clicks
-        this.upload1.addEventListener('click', () => this.file1.click());
-        this.upload2.addEventListener('click', () => this.file2.click());
+        // Document and window listeners are removed again by destroy()
+        this.handlePaste = this.handlePaste.bind(this);
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleResize = this.handleResize.bind(this);
+
+        // Retry model loading
+        this.retryBtn.addEventListener('click', () => this.loadModels());
+
+        // Mode tabs
+        this.modeTabs.forEach(tab => {
+            tab.addEventListener('click', () => this.setMode(tab.dataset.mode));
+        });
+
+        // Project files
+        this.newProjectBtn.addEventListener('click', () => this.newProject());
+        this.openProjectBtn.addEventListener('click', () => this.projectFile.click());
+        this.saveProjectBtn.addEventListener('click', () => this.saveProject());
+        this.projectFile.addEventListener('change', (e) => {
+            if (e.target.files[0]) this.openProject(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Average and timeline mode uploads
+        [
+            [this.averageAdd, this.averageFiles, this.faceList],
+            [this.timelineAdd, this.timelineFiles, this.keyframeList]
+        ].forEach(([box, input, list]) => {
+            box.addEventListener('click', () => input.click());
+            input.addEventListener('change', (e) => {
+                this.addListFiles(list, e.target.files);
+                e.target.value = '';
+            });
+            box.addEventListener('dragover', (e) => e.preventDefault());
+            box.addEventListener('drop', (e) => {
+                e.preventDefault();
+                this.addListTransfer(list, e.dataTransfer);
+            });
+        });
+
+        // Upload box clicks pick a face when several were found, otherwise open the file picker
+        this.upload1.addEventListener('click', (e) => this.handleUploadClick(e, 1));
+        this.upload2.addEventListener('click', (e) => this.handleUploadClick(e, 2));
 
         // File inputs
         this.file1.addEventListener('change', (e) => this.handleFileSelect(e, 1));
@@ -61,40 +264,165 @@ class FaceMergeApp {
             box.addEventListener('drop', (e) => {
                 e.preventDefault();
                 box.style.borderColor = '';
-                const file = e.dataTransfer.files[0];
-                if (file && file.type.startsWith('image/')) {
-                    this.processFile(file, idx + 1);
+                this.handleTransfer(e.dataTransfer, idx + 1);
+            });
+
+            // Pasted images go to the box under the pointer
+            box.addEventListener('mouseenter', () => {
+                this.hoverSlot = idx + 1;
+            });
+            box.addEventListener('mouseleave', () => {
+                this.hoverSlot = null;
+            });
+        });
+
+        // Clipboard paste
+        document.addEventListener('paste', this.handlePaste);
+        this.appEl.addEventListener('mouseenter', () => {
+            this.pointerInside = true;
+        });
+        this.appEl.addEventListener('mouseleave', () => {
+            this.pointerInside = false;
+        });
+
+        // Webcam capture
+        this.cameraBtn1.addEventListener('click', () => this.toggleCamera(1));
+        this.cameraBtn2.addEventListener('click', () => this.toggleCamera(2));
+        this.snapshotBtn.addEventListener('click', () => this.takeSnapshot());
+        this.cameraBar.classList.toggle('hidden', !this.getUserMedia && !CameraSource.isSupported());
+
+        // Landmark editor
+        this.editLandmarksBtn.addEventListener('click', () => {
+            this.editor.setEnabled(!this.editor.enabled);
+            this.updateEditorButtons();
+        });
+        this.addPointBtn.addEventListener('click', () => {
+            this.editor.setAddMode(!this.editor.addMode);
+            this.updateEditorButtons();
+        });
+        this.undoBtn.addEventListener('click', () => this.editor.undo());
+        this.redoBtn.addEventListener('click', () => this.editor.redo());
+
+        document.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('resize', this.handleResize);
+
+        // Diagnostics overlays
+        this.diagnosticsPanel.addEventListener('toggle', () => this.updateDiagnostics());
+        [
+            [this.showLandmarks, 'landmarks'],
+            [this.showMesh, 'mesh'],
+            [this.showBadTriangles, 'badTriangles']
+        ].forEach(([checkbox, layer]) => {
+            this.diagnostics.setVisible(layer, checkbox.checked);
+            checkbox.addEventListener('change', () => this.diagnostics.setVisible(layer, checkbox.checked));
+        });
+
+        // Shape and texture sliders
+        [[this.shapeSlider, this.shapeValue], [this.textureSlider, this.textureValue]].forEach(([slider, value]) => {
+            slider.addEventListener('input', () => {
+                value.textContent = slider.value;
+                this.handleBlendChange();
+            });
+        });
+
+        // Per-feature blending
+        this.regionBlend.addEventListener('change', () => {
+            // Start from the main sliders so switching on doesn't change the result
+            if (this.regionBlend.checked) {
+                this.applyRegionPreset('match');
+            }
+            this.updateRegionControls();
+            this.handleBlendChange();
+        });
+        this.regionPreset.addEventListener('change', () => {
+            if (!this.regionPreset.value) return;
+            this.applyRegionPreset(this.regionPreset.value);
+            this.regionPreset.value = '';
+            this.handleBlendChange();
+        });
+        this.regionSliders.forEach(slider => {
+            slider.addEventListener('input', () => this.handleBlendChange());
+        });
+
+        // Face swap settings (full resolution, so only re-render on release)
+        [this.featherSlider, this.colorMatch].forEach(input => {
+            input.addEventListener('change', () => {
+                if (this.isReady()) {
+                    this.performMorph();
                 }
+                this.scheduleAutosave();
             });
         });
 
-        // Blend slider
-        this.blendSlider.addEventListener('input', () => {
-            this.blendValue.textContent = this.blendSlider.value;
-            if (this.landmarks1 && this.landmarks2) {
+        // Output size, framing and alignment
+        [this.outputSize, this.fitMode, this.alignFaces].forEach(input => {
+            input.addEventListener('change', () => this.handleOutputChange());
+        });
+        [this.alignSize, this.alignX, this.alignY].forEach(slider => {
+            slider.addEventListener('input', () => this.handleOutputChange());
+        });
+
+        // Background around the face
+        [this.backgroundMode, this.backgroundColor].forEach(input => {
+            input.addEventListener('change', () => this.handleBackgroundChange());
+        });
+
+        // Timeline preview
+        this.timelinePlayBtn.addEventListener('click', () => this.toggleTimelinePlayback());
+        this.timelineScrub.addEventListener('input', () => {
+            this.stopTimelinePlayback();
+            this.updateTimelineTime();
+            if (this.isReady()) {
                 this.performMorph();
             }
         });
 
         // Download button
         this.downloadBtn.addEventListener('click', () => this.downloadResult());
+
+        // Animation export
+        this.exportGifBtn.addEventListener('click', () => this.exportAnimation('gif'));
+        this.exportWebmBtn.addEventListener('click', () => this.exportAnimation('webm'));
+        this.exportZipBtn.addEventListener('click', () => this.exportAnimation('zip'));
+        if (!MorphExporter.isWebmSupported()) {
+            this.exportWebmBtn.disabled = true;
+            this.exportWebmBtn.title = 'WebM recording is not supported in this browser';
+        }
     }
 
     async loadModels() {
-        try {
-            const MODEL_URL = 'https://cdn.jsdelivr.net/npm/@vladmandic/face-api/model';
+        this.loadErrorEl.classList.add('hidden');
+        this.loadingStatus.classList.remove('hidden');
 
-            await Promise.all([
-                faceapi.nets.tinyFaceDetector.loadFromUri(MODEL_URL),
-                faceapi.nets.faceLandmark68Net.loadFromUri(MODEL_URL)
-            ]);
+        try {
+            await this.provider.load();
 
             this.modelsLoaded = true;
             this.loadingEl.classList.add('hidden');
             this.appEl.classList.remove('hidden');
+            await this.restoreAutosave();
+            this.onReady();
         } catch (error) {
             console.error('Error loading models:', error);
-            this.showError('Failed to load face detection models. Please refresh the page.');
+
+            // The app section (and its error box) is still hidden, so report inside the loader
+            this.loadingStatus.classList.add('hidden');
+            this.loadErrorMessage.textContent = error instanceof ModelLoadError
+                ? error.message
+                : 'Failed to load face detection models.';
+            this.loadErrorEl.classList.remove('hidden');
+            this.onError(this.loadErrorMessage.textContent);
+            this.onLoadError(error);
+        }
+    }
+
+    handleUploadClick(event, faceNumber) {
+        const index = this.pickers[faceNumber].hitTest(event);
+
+        if (index === -1) {
+            (faceNumber === 1 ? this.file1 : this.file2).click();
+        } else {
+            this.selectFace(faceNumber, index);
         }
     }
 
@@ -105,74 +433,625 @@ class FaceMergeApp {
         }
     }
 
-    async processFile(file, faceNumber) {
-        const reader = new FileReader();
+    processFile(file, faceNumber) {
+        return this.loadFace(faceNumber, () => this.imageInput.fromFile(file));
+    }
 
-        reader.onload = async (e) => {
-            const img = new Image();
-            img.onload = async () => {
-                // Store image and show preview
-                if (faceNumber === 1) {
-                    this.face1 = img;
-                    this.preview1.src = e.target.result;
-                    this.preview1.classList.remove('hidden');
-                    this.upload1.querySelector('.upload-content').classList.add('hidden');
-                    this.upload1.classList.add('has-image');
-                } else {
-                    this.face2 = img;
-                    this.preview2.src = e.target.result;
-                    this.preview2.classList.remove('hidden');
-                    this.upload2.querySelector('.upload-content').classList.add('hidden');
-                    this.upload2.classList.add('has-image');
-                }
+    /**
+     * Load the first image of a drop or paste into a face slot
+     */
+    handleTransfer(dataTransfer, faceNumber) {
+        let items;
+        try {
+            items = this.imageInput.getItems(dataTransfer);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
 
-                // Detect face landmarks
-                await this.detectFace(img, faceNumber);
-            };
-            img.src = e.target.result;
-        };
+        this.loadFace(faceNumber, items[0].load);
+    }
+
+    handlePaste(event) {
+        // Leave pastes into text and number fields alone
+        if (this.isFromField(event)) return;
+        if (!this.modelsLoaded || !event.clipboardData) return;
+        if (!this.isMeantForApp(event)) return;
+
+        event.preventDefault();
+
+        if (this.isListMode()) {
+            this.addListTransfer(this.mode === 'average' ? this.faceList : this.keyframeList, event.clipboardData);
+            return;
+        }
+
+        // The box under the pointer, else the first empty one
+        this.handleTransfer(event.clipboardData, this.hoverSlot || (this.face1 ? 2 : 1));
+    }
+
+    /**
+     * Ctrl+Z / Ctrl+Y (Cmd on macOS) undo and redo landmark edits
+     */
+    handleKeyDown(event) {
+        if (!this.editor.enabled || !(event.ctrlKey || event.metaKey)) return;
+        // Text fields keep their own undo
+        if (this.isFromField(event) || !this.isMeantForApp(event)) return;
+
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            this.editor.undo();
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            this.editor.redo();
+        }
+    }
+
+    handleResize() {
+        this.editor.draw();
+        this.pickers[1].draw();
+        this.pickers[2].draw();
+        this.diagnostics.draw();
+    }
+
+    /**
+     * Whether a document-level event started in a form field. Events from inside a shadow root
+     * reach the document retargeted to its host, so check the first node of the composed path.
+     */
+    isFromField(event) {
+        const target = event.composedPath()[0] || event.target;
+        if (target.isContentEditable) return true;
+        return !!(target.closest && target.closest('input, textarea, select'));
+    }
+
+    /**
+     * Whether a document-level event is for this app: it started inside it, or, when the page
+     * has several apps and the event started in none of them, the pointer is over this one
+     */
+    isMeantForApp(event) {
+        const path = event.composedPath();
+        if (path.includes(this.appEl)) return true;
+        if ([...FACE_MERGE_APPS].some(app => path.includes(app.appEl))) return false;
+
+        return FACE_MERGE_APPS.size === 1 || this.pointerInside;
+    }
+
+    /**
+     * Load a face from code instead of an upload
+     * @param {number} faceNumber - 1 or 2
+     * @param {File|Blob|string|HTMLImageElement} source - Image file, image URL or loaded image
+     */
+    setFace(faceNumber, source) {
+        return this.loadFace(faceNumber, () => {
+            if (typeof source === 'string') return this.imageInput.fromUrl(source);
+            if (source instanceof HTMLImageElement) return this.imageInput.fromUrl(source.currentSrc || source.src);
+            if (source instanceof File) return this.imageInput.fromFile(source);
+            return this.imageInput.fromFile(new File([source], 'image', { type: source.type }));
+        });
+    }
+
+    /**
+     * Decode an image with ImageInput, show it in its slot and detect its faces
+     * @param {number} faceNumber - Slot to load into
+     * @param {Function} load - Resolves to { image, url }
+     */
+    async loadFace(faceNumber, load) {
+        if (this.cameraSlot === faceNumber) {
+            this.stopCamera();
+        }
+        this.hideError();
+
+        let img;
+        try {
+            ({ image: img } = await load());
+        } catch (error) {
+            console.error('Image input error:', error);
+            this.showError(error instanceof ImageInputError
+                ? error.message
+                : 'Could not load the image. Please try a different file.');
+            return;
+        }
+
+        this.showFace(faceNumber, img);
+
+        // Detect face landmarks
+        await this.detectFace(img, faceNumber);
+    }
+
+    /**
+     * Store a face image and show it in its upload box, or clear the box when img is null
+     */
+    showFace(faceNumber, img) {
+        const upload = faceNumber === 1 ? this.upload1 : this.upload2;
+        const preview = faceNumber === 1 ? this.preview1 : this.preview2;
+
+        this.overlays[faceNumber].setImage(img);
+        this.pickers[faceNumber].overlay.setImage(img);
+        if (faceNumber === 1) {
+            this.face1 = img;
+        } else {
+            this.face2 = img;
+        }
+
+        if (img) {
+            preview.src = img.src;
+        } else {
+            preview.removeAttribute('src');
+        }
+        preview.classList.toggle('hidden', !img);
+        upload.querySelector('.upload-content').classList.toggle('hidden', !!img);
+        upload.classList.toggle('has-image', !!img);
+    }
+
+    /**
+     * Detect every face in an image with its 68 facial landmarks
+     * @returns {Promise<Array>} - { box, score, landmarks } per face, largest first
+     */
+    async detectFaces(img) {
+        const faces = await this.provider.detectFaces(img);
+        return faces.sort((a, b) => b.box.width * b.box.height - a.box.width * a.box.height);
+    }
+
+    /**
+     * Detect the 68 facial landmarks of the most confident face in an image
+     * @returns {Promise<Array|null>} - Landmarks, or null when no face is found
+     */
+    async detectLandmarks(img) {
+        const faces = await this.detectFaces(img);
+        if (faces.length === 0) return null;
 
-        reader.readAsDataURL(file);
+        return faces.reduce((best, face) => (face.score > best.score ? face : best)).landmarks;
     }
 
     async detectFace(img, faceNumber) {
         this.hideError();
 
         try {
-            const detection = await faceapi
-                .detectSingleFace(img, new faceapi.TinyFaceDetectorOptions())
-                .withFaceLandmarks();
+            const faces = await this.detectFaces(img);
+            this.detections[faceNumber] = faces;
 
-            if (!detection) {
+            if (faces.length === 0) {
+                // Drop the previous photo's landmarks so it is not morphed in place of this one
+                this.pickers[faceNumber].clear();
+                this.setLandmarks(faceNumber, null);
+                this.editor.loadLandmarks({ 1: this.landmarks1, 2: this.landmarks2 });
+                this.updateEditorButtons();
+                this.updateReadyState();
+                this.scheduleAutosave();
                 this.showError(`No face detected in image ${faceNumber}. Please try a different photo.`);
                 return;
             }
 
-            const landmarks = detection.landmarks.positions.map(pt => ({
-                x: pt.x,
-                y: pt.y
-            }));
+            // Start with the largest face; the picker lets the user switch in group photos
+            this.selectFace(faceNumber, 0);
+        } catch (error) {
+            console.error('Face detection error:', error);
+            this.showError('Error detecting face. Please try a different image.');
+        }
+    }
 
-            if (faceNumber === 1) {
-                this.landmarks1 = landmarks;
-            } else {
-                this.landmarks2 = landmarks;
+    selectFace(faceNumber, index) {
+        const face = this.detections[faceNumber][index];
+        this.pickers[faceNumber].setFaces(this.detections[faceNumber], index);
+
+        // The editor carries over any custom control points from the other face
+        this.setLandmarks(faceNumber, this.editor.setLandmarks(faceNumber, face.landmarks));
+        this.updateEditorButtons();
+
+        // If both faces are ready, show controls and perform morph
+        this.updateReadyState();
+        this.scheduleAutosave();
+    }
+
+    setLandmarks(faceNumber, landmarks) {
+        if (faceNumber === 1) {
+            this.landmarks1 = landmarks;
+        } else {
+            this.landmarks2 = landmarks;
+        }
+        this.workerSources = null;
+    }
+
+    handleLandmarkEdit(faceNumber, landmarks) {
+        this.setLandmarks(faceNumber, landmarks);
+        this.updateEditorButtons();
+
+        if (!this.isListMode() && this.isReady()) {
+            this.performMorph();
+        }
+        this.scheduleAutosave();
+    }
+
+    updateEditorButtons() {
+        const hasLandmarks = !!(this.landmarks1 || this.landmarks2);
+        const editable = hasLandmarks && !this.isListMode() && !this.camera;
+        this.editorToolbar.classList.toggle('hidden', !editable);
+
+        this.editLandmarksBtn.classList.toggle('active', this.editor.enabled);
+        this.addPointBtn.classList.toggle('active', this.editor.addMode);
+        this.addPointBtn.disabled = !this.editor.enabled || !(this.landmarks1 && this.landmarks2);
+        this.undoBtn.disabled = !this.editor.canUndo();
+        this.redoBtn.disabled = !this.editor.canRedo();
+    }
+
+    /**
+     * Start streaming the webcam into a face slot, or stop it if that slot is already live
+     */
+    async toggleCamera(faceNumber) {
+        if (this.cameraSlot === faceNumber) {
+            this.stopCamera();
+            return;
+        }
+
+        this.stopCamera();
+        this.hideError();
+
+        const camera = new CameraSource({
+            getUserMedia: this.getUserMedia,
+            detect: (video) => this.detectLandmarks(video),
+            onFrame: (video, landmarks) => this.handleCameraFrame(faceNumber, video, landmarks),
+            onError: (error) => {
+                console.error('Camera tracking error:', error);
+                this.showError('Error tracking the face in the camera image.');
             }
+        });
 
-            // If both faces are ready, show controls and perform morph
-            if (this.landmarks1 && this.landmarks2) {
-                this.controls.classList.remove('hidden');
-                this.resultSection.classList.remove('hidden');
-                this.performMorph();
+        try {
+            await camera.start();
+        } catch (error) {
+            console.error('Camera error:', error);
+            this.showError(CameraSource.describeError(error));
+            return;
+        }
+
+        this.camera = camera;
+        this.cameraSlot = faceNumber;
+
+        // The editor and face picker work on still images only
+        if (this.editor.enabled) {
+            this.editor.setEnabled(false);
+        }
+        this.detections[faceNumber] = [];
+        this.pickers[faceNumber].clear();
+        this.showFace(faceNumber, null);
+        this.setLandmarks(faceNumber, null);
+        this.editor.loadLandmarks({ 1: this.landmarks1, 2: this.landmarks2 });
+        this.updateReadyState();
+
+        const upload = faceNumber === 1 ? this.upload1 : this.upload2;
+        camera.video.className = 'preview';
+        upload.insertBefore(camera.video, faceNumber === 1 ? this.preview1 : this.preview2);
+        upload.querySelector('.upload-content').classList.add('hidden');
+        upload.classList.add('has-image');
+
+        this.updateCameraButtons();
+        this.updateEditorButtons();
+    }
+
+    /**
+     * Morph every tracked camera frame with the other face; frames without a face keep the last result
+     */
+    handleCameraFrame(faceNumber, video, landmarks) {
+        if (!landmarks) return;
+
+        if (faceNumber === 1) {
+            this.face1 = video;
+        } else {
+            this.face2 = video;
+        }
+
+        // Like a detected still, so custom control points on the other face carry over to the live one
+        this.overlays[faceNumber].setImage(video);
+        this.setLandmarks(faceNumber, this.editor.setLandmarks(faceNumber, landmarks));
+        this.updateReadyState();
+    }
+
+    /**
+     * Turn off the camera. Its slot is emptied unless clear is false, e.g. when a snapshot replaces it.
+     */
+    stopCamera(clear = true) {
+        if (!this.camera) return;
+
+        const faceNumber = this.cameraSlot;
+        this.camera.stop();
+        this.camera.video.remove();
+        this.camera = null;
+        this.cameraSlot = null;
+
+        if (clear) {
+            this.showFace(faceNumber, null);
+            this.setLandmarks(faceNumber, null);
+            this.editor.loadLandmarks({ 1: this.landmarks1, 2: this.landmarks2 });
+            this.updateReadyState();
+        }
+
+        this.updateCameraButtons();
+        this.updateEditorButtons();
+    }
+
+    async takeSnapshot() {
+        if (!this.camera) return;
+
+        const faceNumber = this.cameraSlot;
+
+        try {
+            const img = await this.camera.snapshot();
+            this.stopCamera(false);
+            this.showFace(faceNumber, img);
+            await this.detectFace(img, faceNumber);
+        } catch (error) {
+            console.error('Snapshot error:', error);
+            this.showError('Could not take a snapshot from the camera.');
+        }
+    }
+
+    updateCameraButtons() {
+        this.cameraBtn1.textContent = this.cameraSlot === 1 ? 'Stop Camera' : 'Use Camera for Face 1';
+        this.cameraBtn2.textContent = this.cameraSlot === 2 ? 'Stop Camera' : 'Use Camera for Face 2';
+        this.cameraBtn1.classList.toggle('active', this.cameraSlot === 1);
+        this.cameraBtn2.classList.toggle('active', this.cameraSlot === 2);
+        this.snapshotBtn.classList.toggle('hidden', !this.camera);
+    }
+
+    createWorkerMorpher() {
+        if (!WorkerMorpher.isSupported()) return null;
+
+        try {
+            return new WorkerMorpher(this.workerUrl);
+        } catch (error) {
+            // Workers can't be created from file:// pages in some browsers
+            console.warn('Morph worker unavailable, rendering on the main thread:', error);
+            return null;
+        }
+    }
+
+    setMode(mode) {
+        this.mode = mode;
+        this.modeTabs.forEach(tab => tab.classList.toggle('active', tab.dataset.mode === mode));
+
+        const listMode = this.isListMode();
+        this.pairSection.classList.toggle('hidden', listMode);
+        this.cameraBar.classList.toggle('hidden', listMode || (!this.getUserMedia && !CameraSource.isSupported()));
+        this.averageSection.classList.toggle('hidden', mode !== 'average');
+        this.timelineSection.classList.toggle('hidden', mode !== 'timeline');
+        this.blendControls.classList.toggle('hidden', mode !== 'pair');
+        this.swapControls.classList.toggle('hidden', mode !== 'swap');
+        this.timelineControls.classList.toggle('hidden', mode !== 'timeline');
+        this.framingControls.classList.toggle('hidden', mode === 'swap');
+        this.backgroundLabel.classList.toggle('hidden', mode === 'average');
+        this.updateBackgroundControls();
+        this.exportPanel.classList.toggle('hidden', mode !== 'pair' && mode !== 'timeline');
+        this.pairExportOptions.forEach(option => option.classList.toggle('hidden', mode !== 'pair'));
+
+        if (mode !== 'timeline') {
+            this.stopTimelinePlayback();
+        }
+        if (listMode) {
+            this.stopCamera();
+        }
+        if (listMode && this.editor.enabled) {
+            this.editor.setEnabled(false);
+        }
+        this.updateEditorButtons();
+
+        this.hideError();
+        this.updateReadyState();
+        this.scheduleAutosave();
+    }
+
+    /**
+     * Whether the current mode has enough faces to render a result
+     */
+    isReady() {
+        if (this.mode === 'average') {
+            return this.faceList.getReadyEntries().length >= 2;
+        }
+        if (this.mode === 'timeline') {
+            return this.keyframeList.getReadyEntries().length >= 2;
+        }
+        return !!(this.landmarks1 && this.landmarks2);
+    }
+
+    /**
+     * Whether the current mode works on a list of faces instead of the two upload boxes
+     */
+    isListMode() {
+        return this.mode === 'average' || this.mode === 'timeline';
+    }
+
+    updateReadyState() {
+        const ready = this.isReady();
+        this.controls.classList.toggle('hidden', !ready);
+        this.resultSection.classList.toggle('hidden', !ready);
+
+        if (ready) {
+            this.performMorph();
+        }
+    }
+
+    async addListFiles(list, files) {
+        this.hideError();
+        this.reportSkippedFaces(list, await list.addFiles(files));
+    }
+
+    async addListTransfer(list, dataTransfer) {
+        this.hideError();
+
+        let items;
+        try {
+            items = this.imageInput.getItems(dataTransfer);
+        } catch (error) {
+            this.showError(error.message);
+            return;
+        }
+
+        this.reportSkippedFaces(list, await list.addItems(items));
+    }
+
+    reportSkippedFaces(list, skipped) {
+        if (skipped > 0) {
+            this.showError(`Only ${list.maxFaces} faces fit in the list; ${skipped} photo(s) were skipped.`);
+        }
+    }
+
+    handleFaceListChange() {
+        if (this.mode === 'average') {
+            this.updateReadyState();
+        }
+        this.scheduleAutosave();
+    }
+
+    performAverageMorph() {
+        const entries = this.faceList.getReadyEntries();
+        const options = this.getMorphOptions();
+
+        try {
+            // Prepared sources are cached per face until the output options change
+            entries.forEach(entry => {
+                if (!entry.source) {
+                    entry.source = this.morpher.prepareSource(entry.image, entry.landmarks, options);
+                }
+            });
+
+            const morphedData = this.morpher.morphManySources(
+                entries.map(entry => entry.source),
+                entries.map(entry => entry.weight)
+            );
+
+            this.drawResult(morphedData);
+        } catch (error) {
+            console.error('Averaging error:', error);
+            this.showError('Error averaging faces. Please try different images.');
+        }
+    }
+
+    handleKeyframeChange() {
+        this.stopTimelinePlayback();
+        this.updateTimelineScrub();
+
+        if (this.mode === 'timeline') {
+            this.updateReadyState();
+        }
+        this.scheduleAutosave();
+    }
+
+    performTimelineMorph() {
+        try {
+            const morphedData = this.timeline.renderFrame(
+                this.keyframeList.getReadyEntries(),
+                this.getTimelineTime(),
+                this.getMorphOptions()
+            );
+
+            this.drawResult(morphedData);
+        } catch (error) {
+            console.error('Timeline error:', error);
+            this.stopTimelinePlayback();
+            this.showError('Error morphing the timeline. Please try different images.');
+        }
+    }
+
+    getTimelineTime() {
+        return Number(this.timelineScrub.value) / 1000;
+    }
+
+    /**
+     * Fit the scrub bar to the timeline length after keyframes or durations change
+     */
+    updateTimelineScrub() {
+        const duration = MorphTimeline.getDuration(this.keyframeList.getReadyEntries());
+        this.timelineScrub.max = Math.round(duration * 1000);
+        this.timelinePlayBtn.disabled = duration === 0;
+        this.updateTimelineTime();
+    }
+
+    updateTimelineTime() {
+        const duration = Number(this.timelineScrub.max) / 1000;
+        this.timelineTime.textContent = `${this.getTimelineTime().toFixed(1)} / ${duration.toFixed(1)} s`;
+    }
+
+    /**
+     * Play the timeline preview in real time from the scrub position, or pause it.
+     * Frames that take longer than the display refresh are dropped, not queued.
+     */
+    toggleTimelinePlayback() {
+        if (this.timelineFrame !== null) {
+            this.stopTimelinePlayback();
+            return;
+        }
+
+        const duration = Number(this.timelineScrub.max) / 1000;
+        if (this.getTimelineTime() >= duration) {
+            this.timelineScrub.value = 0;
+        }
+        const start = performance.now() - this.getTimelineTime() * 1000;
+
+        const step = (now) => {
+            const time = Math.min(duration, (now - start) / 1000);
+            this.timelineScrub.value = Math.round(time * 1000);
+            this.updateTimelineTime();
+            this.performMorph();
+
+            if (this.timelineFrame === null) return;
+            if (time < duration) {
+                this.timelineFrame = requestAnimationFrame(step);
+            } else {
+                this.stopTimelinePlayback();
             }
+        };
+
+        this.timelineFrame = requestAnimationFrame(step);
+        this.timelinePlayBtn.textContent = 'Pause';
+        this.timelinePlayBtn.classList.add('active');
+    }
+
+    stopTimelinePlayback() {
+        cancelAnimationFrame(this.timelineFrame);
+        this.timelineFrame = null;
+        this.timelinePlayBtn.textContent = 'Play';
+        this.timelinePlayBtn.classList.remove('active');
+    }
+
+    performSwap() {
+        try {
+            const swappedData = this.swapper.swap(
+                this.face1,
+                this.face2,
+                this.landmarks1,
+                this.landmarks2,
+                {
+                    feather: this.featherSlider.value / 100,
+                    colorMatch: this.colorMatch.value
+                }
+            );
+
+            this.drawResult(swappedData);
         } catch (error) {
-            console.error('Face detection error:', error);
-            this.showError('Error detecting face. Please try a different image.');
+            console.error('Face swap error:', error);
+            this.showError('Error swapping faces. Please try different images.');
         }
     }
 
     performMorph() {
-        const ratio = this.blendSlider.value / 100;
+        if (this.mode === 'average') {
+            this.performAverageMorph();
+            return;
+        }
+        if (this.mode === 'swap') {
+            this.performSwap();
+            return;
+        }
+        if (this.mode === 'timeline') {
+            this.performTimelineMorph();
+            return;
+        }
+
+        const ratio = this.getBlendRatio();
+
+        if (this.workerMorpher) {
+            this.performWorkerMorph(ratio);
+            return;
+        }
 
         try {
             const morphedData = this.morpher.morph(
@@ -180,20 +1059,264 @@ class FaceMergeApp {
                 this.face2,
                 this.landmarks1,
                 this.landmarks2,
-                ratio
+                ratio,
+                this.getMorphOptions()
             );
 
-            // Draw result to canvas
-            this.resultCanvas.width = this.morpher.outputWidth;
-            this.resultCanvas.height = this.morpher.outputHeight;
-            const ctx = this.resultCanvas.getContext('2d');
-            ctx.putImageData(morphedData, 0, 0);
+            this.drawResult(morphedData);
         } catch (error) {
             console.error('Morphing error:', error);
             this.showError('Error morphing faces. Please try different images.');
         }
     }
 
+    async performWorkerMorph(ratio) {
+        const workerMorpher = this.workerMorpher;
+
+        try {
+            // Faces are only sent to the worker again after they change
+            if (!this.workerSources) {
+                this.workerSources = workerMorpher.setSources(
+                    this.face1,
+                    this.face2,
+                    this.landmarks1,
+                    this.landmarks2,
+                    this.getMorphOptions()
+                );
+            }
+            await this.workerSources;
+
+            const morphedData = await workerMorpher.render(ratio);
+            if (morphedData) {
+                this.drawResult(morphedData);
+            }
+        } catch (error) {
+            if (this.workerMorpher !== workerMorpher) return;
+
+            console.warn('Morph worker failed, rendering on the main thread:', error);
+            workerMorpher.terminate();
+            this.workerMorpher = null;
+            this.performMorph();
+        }
+    }
+
+    /**
+     * Separate geometry and color blend ratios, per facial feature when enabled; values outside 0-1 extrapolate
+     */
+    getBlendRatio() {
+        const ratio = {
+            shape: this.shapeSlider.value / 100,
+            texture: this.textureSlider.value / 100
+        };
+
+        if (this.regionBlend.checked) {
+            ratio.regions = {};
+            this.regionSliders.forEach(slider => {
+                const region = ratio.regions[slider.dataset.region] || (ratio.regions[slider.dataset.region] = {});
+                region[slider.dataset.part] = slider.value / 100;
+            });
+        }
+
+        return ratio;
+    }
+
+    /**
+     * Set the shape and color sliders together
+     * @param {number} ratio - 0 for face 1, 1 for face 2; -0.5 to 1.5 extrapolates
+     */
+    setBlend(ratio) {
+        [[this.shapeSlider, this.shapeValue], [this.textureSlider, this.textureValue]].forEach(([slider, value]) => {
+            slider.value = Math.round(ratio * 100);
+            value.textContent = slider.value;
+        });
+        this.handleBlendChange();
+    }
+
+    handleBlendChange() {
+        if (this.landmarks1 && this.landmarks2) {
+            this.performMorph();
+        }
+        this.scheduleAutosave();
+    }
+
+    updateRegionControls() {
+        this.regionSettings.classList.toggle('hidden', !this.regionBlend.checked);
+    }
+
+    /**
+     * Set the main and per-feature sliders from REGION_PRESETS; 'match' copies the main sliders to every feature
+     */
+    applyRegionPreset(name) {
+        const preset = REGION_PRESETS[name];
+        if (preset) {
+            [[this.shapeSlider, this.shapeValue], [this.textureSlider, this.textureValue]].forEach(([slider, value]) => {
+                slider.value = preset.base;
+                value.textContent = slider.value;
+            });
+        }
+
+        this.regionSliders.forEach(slider => {
+            const main = slider.dataset.part === 'shape' ? this.shapeSlider : this.textureSlider;
+            const value = preset ? preset.regions[slider.dataset.region] : undefined;
+            slider.value = value !== undefined ? value : main.value;
+        });
+    }
+
+    /**
+     * Per-feature slider values in percent, as saved in projects
+     */
+    getRegionSettings() {
+        const regions = {};
+        this.regionSliders.forEach(slider => {
+            const region = regions[slider.dataset.region] || (regions[slider.dataset.region] = {});
+            region[slider.dataset.part] = Number(slider.value);
+        });
+        return regions;
+    }
+
+    /**
+     * Choose the output size, adding it to the menu when it isn't one of the presets
+     */
+    setOutputSize(width, height) {
+        const value = `${width}x${height}`;
+        if (!Array.from(this.outputSize.options).some(option => option.value === value)) {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = `${width} × ${height}`;
+            this.outputSize.appendChild(option);
+        }
+        this.outputSize.value = value;
+        this.handleOutputChange();
+    }
+
+    handleOutputChange() {
+        this.updateAlignControls();
+
+        this.workerSources = null;
+        this.faceList.clearSources();
+        this.keyframeList.clearSources();
+        if (this.isReady()) {
+            this.performMorph();
+        }
+        this.scheduleAutosave();
+    }
+
+    handleBackgroundChange() {
+        this.updateBackgroundControls();
+
+        // The worker renders with the options it was set up with
+        this.workerSources = null;
+        if (this.isReady()) {
+            this.performMorph();
+        }
+        this.scheduleAutosave();
+    }
+
+    updateBackgroundControls() {
+        const background = this.mode === 'pair' || this.mode === 'timeline' ? this.backgroundMode.value : 'blend';
+        this.backgroundColorLabel.classList.toggle('hidden', background !== 'solid');
+        this.resultCanvas.classList.toggle('transparent-result', background === 'transparent');
+    }
+
+    updateAlignControls() {
+        this.alignSettings.classList.toggle('hidden', !this.alignFaces.checked);
+        this.fitMode.disabled = this.alignFaces.checked;
+    }
+
+    /**
+     * Output size, framing and alignment from the controls
+     */
+    getMorphOptions() {
+        const [outputWidth, outputHeight] = this.outputSize.value.split('x').map(Number);
+
+        return {
+            outputWidth,
+            outputHeight,
+            fit: this.fitMode.value,
+            align: this.alignFaces.checked,
+            faceSize: this.alignSize.value / 100,
+            facePosition: { x: this.alignX.value / 100, y: this.alignY.value / 100 },
+            background: this.backgroundMode.value,
+            backgroundColor: this.backgroundColor.value
+        };
+    }
+
+    drawResult(imageData) {
+        this.resultCanvas.width = imageData.width;
+        this.resultCanvas.height = imageData.height;
+        const ctx = this.resultCanvas.getContext('2d');
+        ctx.putImageData(imageData, 0, 0);
+
+        this.updateDiagnostics();
+        this.onMorphComplete(this.resultCanvas);
+    }
+
+    /**
+     * Refresh confidence, warnings and overlays for the faces in the current mode.
+     * Overlays are only drawn, and the mesh only rebuilt, while the panel is open.
+     */
+    updateDiagnostics() {
+        if (this.isListMode()) {
+            this.diagnostics.clear();
+            this.diagnosticsInfo.textContent = 'Diagnostics cover the two-face modes.';
+            return;
+        }
+
+        const face = (faceNumber) => {
+            const landmarks = faceNumber === 1 ? this.landmarks1 : this.landmarks2;
+            if (!landmarks) return null;
+
+            const detection = this.detections[faceNumber][this.pickers[faceNumber].selected];
+            return {
+                landmarks,
+                score: detection ? detection.score : undefined,
+                box: detection ? detection.box : null
+            };
+        };
+
+        const open = this.diagnosticsPanel.open;
+        const options = this.getMorphOptions();
+        const geometry = open && this.mode === 'pair' && this.isReady()
+            ? this.diagnostics.getGeometry(
+                this.face1,
+                this.face2,
+                this.landmarks1,
+                this.landmarks2,
+                this.getBlendRatio(),
+                options
+            )
+            : null;
+
+        this.diagnostics.update({
+            faces: { 1: face(1), 2: face(2) },
+            geometry,
+            aligned: options.align,
+            visible: open
+        });
+    }
+
+    /**
+     * Encode the current result
+     * @param {string} [type='image/png']
+     * @param {number} [quality] - For lossy types, 0 to 1
+     * @returns {Promise<Blob>}
+     */
+    exportResult(type = 'image/png', quality) {
+        if (!this.isReady()) {
+            return Promise.reject(new Error('There is no result to export yet.'));
+        }
+
+        return new Promise((resolve, reject) => {
+            this.resultCanvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('The result could not be encoded.'));
+                }
+            }, type, quality);
+        });
+    }
+
     downloadResult() {
         const link = document.createElement('a');
         link.download = 'face-merge-result.png';
@@ -201,9 +1324,313 @@ class FaceMergeApp {
         link.click();
     }
 
+    async exportAnimation(format) {
+        if (!this.isReady()) return;
+
+        const fps = Math.max(1, Math.min(60, parseInt(this.exportFps.value, 10) || 15));
+        const label = format === 'zip' ? 'frames' : format.toUpperCase();
+
+        this.stopTimelinePlayback();
+        this.hideError();
+        this.setExporting(true);
+
+        try {
+            const frames = await this.renderExportFrames(fps, (done, total) => {
+                this.exportStatus.textContent = `Rendering frame ${done} of ${total}...`;
+            });
+
+            let blob;
+            if (format === 'zip') {
+                blob = await this.exporter.exportFrameSequence(frames, (done, total) => {
+                    this.exportStatus.textContent = `Saving frame ${done} of ${total}...`;
+                });
+            } else {
+                this.exportStatus.textContent = `Encoding ${label}...`;
+                blob = format === 'gif'
+                    ? await this.exporter.exportGif(frames, fps)
+                    : await this.exporter.exportWebm(frames, fps);
+            }
+
+            this.downloadBlob(blob, format === 'zip' ? 'face-merge-frames.zip' : `face-merge-animation.${format}`);
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showError(`Error exporting ${label}: ${error.message}`);
+        } finally {
+            this.setExporting(false);
+        }
+    }
+
+    /**
+     * Every frame of the animation: the whole timeline in timeline mode, else the pair morph
+     * over the ratio sequence from the export settings
+     */
+    renderExportFrames(fps, onProgress) {
+        if (this.mode === 'timeline') {
+            return this.timeline.renderFrames(
+                this.keyframeList.getReadyEntries(),
+                fps,
+                this.getMorphOptions(),
+                onProgress
+            );
+        }
+
+        const ratios = MorphExporter.getRatioSequence({
+            frameCount: Math.min(120, parseInt(this.exportFrames.value, 10) || 30),
+            holdFrames: Math.min(60, parseInt(this.exportHold.value, 10) || 0),
+            pingPong: this.exportPingPong.checked
+        });
+
+        return this.exporter.renderFrames({
+            img1: this.face1,
+            img2: this.face2,
+            landmarks1: this.landmarks1,
+            landmarks2: this.landmarks2,
+            options: this.getMorphOptions()
+        }, ratios, onProgress);
+    }
+
+    setExporting(exporting) {
+        this.exportGifBtn.disabled = exporting;
+        this.exportWebmBtn.disabled = exporting || !MorphExporter.isWebmSupported();
+        this.exportZipBtn.disabled = exporting;
+        this.exportStatus.classList.toggle('hidden', !exporting);
+        if (!exporting) this.exportStatus.textContent = '';
+    }
+
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.download = filename;
+        link.href = url;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    /**
+     * Everything needed to rebuild the current result, in the ProjectStore format
+     */
+    getProject() {
+        const face = (faceNumber) => {
+            const img = faceNumber === 1 ? this.face1 : this.face2;
+            const landmarks = faceNumber === 1 ? this.landmarks1 : this.landmarks2;
+            if (!img || !landmarks || faceNumber === this.cameraSlot) return null;
+
+            return {
+                image: img.src,
+                landmarks,
+                detections: this.detections[faceNumber],
+                selected: this.pickers[faceNumber].selected
+            };
+        };
+
+        return {
+            mode: this.mode,
+            faces: { 1: face(1), 2: face(2) },
+            average: this.faceList.serialize(),
+            timeline: this.keyframeList.serialize(),
+            settings: this.getSettings()
+        };
+    }
+
+    getSettings() {
+        return {
+            shape: Number(this.shapeSlider.value),
+            texture: Number(this.textureSlider.value),
+            feather: Number(this.featherSlider.value),
+            colorMatch: this.colorMatch.value,
+            outputSize: this.outputSize.value,
+            fit: this.fitMode.value,
+            align: this.alignFaces.checked,
+            alignSize: Number(this.alignSize.value),
+            alignX: Number(this.alignX.value),
+            alignY: Number(this.alignY.value),
+            regionBlend: this.regionBlend.checked,
+            regions: this.getRegionSettings(),
+            background: this.backgroundMode.value,
+            backgroundColor: this.backgroundColor.value
+        };
+    }
+
+    /**
+     * Restore faces, landmarks and settings from a parsed project
+     */
+    async applyProject(project) {
+        this.restoring = true;
+
+        try {
+            this.applySettings(project.settings);
+
+            const images = await Promise.all([1, 2].map(faceNumber => {
+                const face = project.faces[faceNumber];
+                return face ? this.faceList.loadImage(face.image) : null;
+            }));
+
+            [1, 2].forEach(faceNumber => {
+                const face = project.faces[faceNumber];
+                this.showFace(faceNumber, images[faceNumber - 1]);
+                this.detections[faceNumber] = face && face.detections ? face.detections : [];
+
+                if (face && this.detections[faceNumber].length > 0) {
+                    this.pickers[faceNumber].setFaces(this.detections[faceNumber], face.selected || 0);
+                } else {
+                    this.pickers[faceNumber].clear();
+                }
+            });
+
+            const landmarks = this.editor.loadLandmarks({
+                1: project.faces[1] && project.faces[1].landmarks,
+                2: project.faces[2] && project.faces[2].landmarks
+            });
+            this.setLandmarks(1, landmarks[1]);
+            this.setLandmarks(2, landmarks[2]);
+            this.updateEditorButtons();
+
+            await this.faceList.restore(project.average);
+            await this.keyframeList.restore(project.timeline);
+            this.setMode(project.mode);
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    applySettings(settings) {
+        const setValue = (input, value) => {
+            if (value === undefined) return;
+            if (input.tagName === 'SELECT' && ![...input.options].some(option => option.value === value)) return;
+            input.value = value;
+        };
+
+        setValue(this.shapeSlider, settings.shape);
+        setValue(this.textureSlider, settings.texture);
+        setValue(this.featherSlider, settings.feather);
+        setValue(this.colorMatch, settings.colorMatch);
+        setValue(this.outputSize, settings.outputSize);
+        setValue(this.fitMode, settings.fit);
+        setValue(this.alignSize, settings.alignSize);
+        setValue(this.alignX, settings.alignX);
+        setValue(this.alignY, settings.alignY);
+        setValue(this.backgroundMode, settings.background);
+        setValue(this.backgroundColor, settings.backgroundColor);
+        if (settings.align !== undefined) this.alignFaces.checked = settings.align;
+        if (settings.regionBlend !== undefined) this.regionBlend.checked = settings.regionBlend;
+        if (settings.regions) {
+            this.regionSliders.forEach(slider => {
+                const region = settings.regions[slider.dataset.region];
+                if (region) setValue(slider, region[slider.dataset.part]);
+            });
+        }
+
+        this.shapeValue.textContent = this.shapeSlider.value;
+        this.textureValue.textContent = this.textureSlider.value;
+        this.updateAlignControls();
+        this.updateBackgroundControls();
+        this.updateRegionControls();
+        this.workerSources = null;
+        this.faceList.clearSources();
+        this.keyframeList.clearSources();
+    }
+
+    saveProject() {
+        const json = ProjectStore.serialize(this.getProject());
+        this.downloadBlob(new Blob([json], { type: 'application/json' }), 'face-merge-project.json');
+    }
+
+    async openProject(file) {
+        this.hideError();
+
+        try {
+            const project = ProjectStore.parse(await file.text());
+            await this.applyProject(project);
+            this.scheduleAutosave();
+        } catch (error) {
+            console.error('Project load error:', error);
+            this.showError(`Could not open project: ${error.message}`);
+        }
+    }
+
+    /**
+     * Forget the autosaved session and start over with empty upload boxes and default settings.
+     * Resets the app in place, since the page may hold more than this app.
+     */
+    async newProject() {
+        clearTimeout(this.autosaveTimer);
+        this.stopCamera();
+        if (this.editor.enabled) {
+            this.editor.setEnabled(false);
+        }
+        this.regionPreset.value = '';
+
+        await this.applyProject({
+            mode: 'pair',
+            faces: { 1: null, 2: null },
+            average: [],
+            timeline: [],
+            settings: this.defaultSettings
+        });
+
+        if (this.projectStore) {
+            try {
+                await this.projectStore.clearAutosave();
+            } catch (error) {
+                console.warn('Could not clear autosave:', error);
+            }
+        }
+    }
+
+    /**
+     * Save the session to IndexedDB shortly after the last change
+     */
+    scheduleAutosave() {
+        if (!this.projectStore || this.restoring) return;
+
+        clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = setTimeout(() => {
+            this.projectStore.saveAutosave(this.getProject()).catch(error => {
+                console.warn('Autosave failed:', error);
+            });
+        }, 1000);
+    }
+
+    async restoreAutosave() {
+        if (!this.projectStore) return;
+
+        try {
+            const project = await this.projectStore.loadAutosave();
+            if (project) {
+                await this.applyProject(project);
+            }
+        } catch (error) {
+            console.warn('Could not restore the last session:', error);
+        }
+    }
+
+    /**
+     * Stop everything that outlives the app's markup: document and window listeners, the camera,
+     * timers, timeline playback and the morph worker. The app cannot be used afterwards.
+     */
+    destroy() {
+        document.removeEventListener('paste', this.handlePaste);
+        document.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('resize', this.handleResize);
+
+        clearTimeout(this.autosaveTimer);
+        this.stopCamera(false);
+        this.stopTimelinePlayback();
+
+        if (this.workerMorpher) {
+            // Cleared first, so a render still in flight gives up instead of falling back
+            const workerMorpher = this.workerMorpher;
+            this.workerMorpher = null;
+            workerMorpher.terminate();
+        }
+
+        FACE_MERGE_APPS.delete(this);
+    }
+
     showError(message) {
         this.errorEl.textContent = message;
         this.errorEl.classList.remove('hidden');
+        this.onError(message);
     }
 
     hideError() {
@@ -211,7 +1638,5 @@ class FaceMergeApp {
     }
 }
 
-// Initialize app when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    new FaceMergeApp();
-});
+// Export for use in face-merge-element.js
+window.FaceMergeApp = FaceMergeApp;
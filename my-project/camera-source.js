@@ -0,0 +1,136 @@
+/**
+ * Camera Source
+ * Streams webcam video and tracks the face in it frame by frame. getUserMedia can be
+ * injected, e.g. with () => Promise.resolve(canvas.captureStream()) to run without a camera.
+ */
+
+class CameraSource {
+    /**
+     * @param {Object} options
+     * @param {Function} options.detect - async (video) => landmarks array, or null when no face is found
+     * @param {Function} options.onFrame - Called with (video, landmarks) after each tracked frame
+     * @param {Function} [options.onError] - Called with an Error if tracking fails while running
+     * @param {Function} [options.getUserMedia] - (constraints) => Promise<MediaStream>; defaults to the browser's
+     * @param {Object} [options.constraints] - Media constraints passed to getUserMedia
+     */
+    constructor(options) {
+        this.detect = options.detect;
+        this.onFrame = options.onFrame;
+        this.onError = options.onError || (error => console.error('Camera tracking error:', error));
+        this.getUserMedia = options.getUserMedia ||
+            (constraints => navigator.mediaDevices.getUserMedia(constraints));
+        this.constraints = options.constraints || {
+            video: { facingMode: 'user', width: { ideal: 640 }, height: { ideal: 480 } },
+            audio: false
+        };
+
+        this.video = document.createElement('video');
+        this.video.muted = true;
+        this.video.playsInline = true;
+        this.stream = null;
+        this.frameId = null;
+        this.tracking = false;
+    }
+
+    static isSupported() {
+        return typeof navigator !== 'undefined' && !!navigator.mediaDevices &&
+            typeof navigator.mediaDevices.getUserMedia === 'function';
+    }
+
+    /**
+     * User-facing explanation of a getUserMedia failure
+     */
+    static describeError(error) {
+        const name = error && error.name;
+
+        if (name === 'NotAllowedError' || name === 'SecurityError') {
+            return 'Camera access was denied. Allow the camera in your browser settings and try again.';
+        }
+        if (name === 'NotFoundError' || name === 'OverconstrainedError') {
+            return 'No camera was found.';
+        }
+        if (name === 'NotReadableError') {
+            return 'The camera is already in use by another application.';
+        }
+        return `Could not start the camera: ${error && error.message ? error.message : error}`;
+    }
+
+    isActive() {
+        return !!this.stream;
+    }
+
+    async start() {
+        if (this.stream) return;
+
+        this.stream = await this.getUserMedia(this.constraints);
+        this.video.srcObject = this.stream;
+
+        try {
+            await this.video.play();
+        } catch (error) {
+            this.stop();
+            throw error;
+        }
+
+        this.scheduleFrame();
+    }
+
+    stop() {
+        cancelAnimationFrame(this.frameId);
+        this.frameId = null;
+
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        this.video.srcObject = null;
+    }
+
+    scheduleFrame() {
+        this.frameId = requestAnimationFrame(() => this.trackFrame());
+    }
+
+    /**
+     * Detect landmarks on the current frame. Frames that arrive while a detection is still
+     * running are skipped, so slow detectors lower the frame rate instead of queueing work.
+     */
+    async trackFrame() {
+        if (!this.stream) return;
+        this.scheduleFrame();
+
+        if (this.tracking || this.video.readyState < 2) return;
+        this.tracking = true;
+
+        try {
+            const landmarks = await this.detect(this.video);
+            if (this.stream) {
+                this.onFrame(this.video, landmarks);
+            }
+        } catch (error) {
+            this.onError(error);
+        } finally {
+            this.tracking = false;
+        }
+    }
+
+    /**
+     * Freeze the current frame as an image
+     * @returns {Promise<HTMLImageElement>}
+     */
+    snapshot() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.video.videoWidth;
+        canvas.height = this.video.videoHeight;
+        canvas.getContext('2d').drawImage(this.video, 0, 0);
+
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = reject;
+            img.src = canvas.toDataURL('image/png');
+        });
+    }
+}
+
+// Export for use in app.js
+window.CameraSource = CameraSource;
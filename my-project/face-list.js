@@ -0,0 +1,232 @@
+/**
+ * Face List
+ * Dynamic list of uploaded faces, each with its own weight slider
+ */
+
+class FaceList {
+    /**
+     * @param {HTMLElement} container - Element the list rows are rendered into
+     * @param {Object} options
+     * @param {Function} options.detect - async (img) => landmarks array, or null when no face is found
+     * @param {Function} options.onChange - Called when faces, landmarks or weights change
+     * @param {ImageInput} [options.imageInput] - Decodes files and links into images
+     * @param {number} [options.maxFaces=20] - Maximum number of faces in the list
+     */
+    constructor(container, options) {
+        this.container = container;
+        this.detect = options.detect;
+        this.onChange = options.onChange;
+        this.imageInput = options.imageInput || new ImageInput();
+        this.maxFaces = options.maxFaces || 20;
+        this.entries = [];
+        this.nextId = 1;
+    }
+
+    /**
+     * Add image files to the list and detect their landmarks
+     * @returns {Promise<number>} - Number of files skipped because the list is full
+     */
+    addFiles(files) {
+        return this.addItems(Array.from(files).map(file => ({
+            name: file.name,
+            load: () => this.imageInput.fromFile(file)
+        })));
+    }
+
+    /**
+     * Add images from ImageInput.getItems() to the list and detect their landmarks
+     * @returns {Promise<number>} - Number of items skipped because the list is full
+     */
+    async addItems(items) {
+        const room = this.maxFaces - this.entries.length;
+        const accepted = items.slice(0, Math.max(0, room));
+
+        await Promise.all(accepted.map(item => this.addItem(item)));
+
+        return items.length - accepted.length;
+    }
+
+    async addItem(item) {
+        const entry = this.createEntry({ name: item.name });
+        this.entries.push(entry);
+        this.render();
+
+        try {
+            const { image, url } = await item.load();
+            entry.image = image;
+            entry.url = url;
+            entry.status = 'Detecting face...';
+            this.render();
+
+            entry.landmarks = await this.detect(image);
+            entry.status = entry.landmarks ? '' : 'No face detected';
+        } catch (error) {
+            console.error('Face list error:', error);
+            entry.status = error instanceof ImageInputError ? error.message : 'Could not read image';
+        }
+
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * New list entry, optionally from a saved one
+     */
+    createEntry(saved = {}) {
+        return {
+            id: this.nextId++,
+            name: saved.name || 'Face',
+            image: null,
+            url: saved.image || null,
+            landmarks: null,
+            source: null,
+            weight: saved.weight !== undefined ? saved.weight : 50,
+            status: 'Loading...'
+        };
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            if (!url.startsWith('data:')) image.crossOrigin = 'anonymous';
+            image.onload = () => resolve(image);
+            image.onerror = () => reject(new Error(`Could not load ${url}`));
+            image.src = url;
+        });
+    }
+
+    /**
+     * Faces in a form that can be saved in a project
+     */
+    serialize() {
+        return this.entries
+            .filter(entry => entry.url)
+            .map(entry => this.serializeEntry(entry));
+    }
+
+    serializeEntry(entry) {
+        return {
+            name: entry.name,
+            image: entry.url,
+            landmarks: entry.landmarks,
+            weight: entry.weight
+        };
+    }
+
+    /**
+     * Replace the list with faces from a saved project, keeping their saved landmarks
+     */
+    async restore(saved) {
+        this.entries = saved.slice(0, this.maxFaces).map(item => this.createEntry(item));
+        this.render();
+
+        await Promise.all(this.entries.map(async (entry, i) => {
+            try {
+                entry.image = await this.loadImage(entry.url);
+                entry.landmarks = saved[i].landmarks || null;
+                entry.status = entry.landmarks ? '' : 'No face detected';
+            } catch (error) {
+                console.error('Face list error:', error);
+                entry.status = 'Could not read image';
+            }
+        }));
+
+        this.render();
+        this.onChange();
+    }
+
+    remove(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.render();
+        this.onChange();
+    }
+
+    /**
+     * Faces with detected landmarks, in list order
+     */
+    getReadyEntries() {
+        return this.entries.filter(entry => entry.landmarks);
+    }
+
+    /**
+     * Forget cached prepared sources, e.g. after the output size changes
+     */
+    clearSources() {
+        this.entries.forEach(entry => {
+            entry.source = null;
+        });
+    }
+
+    render() {
+        this.container.innerHTML = '';
+
+        for (const entry of this.entries) {
+            const row = document.createElement('div');
+            row.className = 'face-row';
+
+            const thumb = document.createElement('img');
+            thumb.className = 'face-thumb';
+            thumb.alt = entry.name;
+            if (entry.url) thumb.src = entry.url;
+
+            const info = document.createElement('div');
+            info.className = 'face-info';
+
+            const name = document.createElement('div');
+            name.className = 'face-name';
+            name.textContent = entry.name;
+            info.appendChild(name);
+
+            if (entry.status) {
+                const status = document.createElement('div');
+                status.className = 'face-status';
+                status.textContent = entry.status;
+                info.appendChild(status);
+            } else {
+                info.appendChild(this.renderControls(entry));
+            }
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'face-remove';
+            removeBtn.textContent = '×';
+            removeBtn.title = 'Remove face';
+            removeBtn.addEventListener('click', () => this.remove(entry.id));
+
+            row.append(thumb, info, removeBtn);
+            this.container.appendChild(row);
+        }
+    }
+
+    /**
+     * Controls shown under the name of a face with landmarks
+     */
+    renderControls(entry) {
+        return this.renderWeight(entry);
+    }
+
+    renderWeight(entry) {
+        const weight = document.createElement('div');
+        weight.className = 'face-weight';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = '0';
+        slider.max = '100';
+        slider.value = entry.weight;
+
+        const value = document.createElement('span');
+        value.textContent = entry.weight;
+
+        slider.addEventListener('input', () => {
+            entry.weight = Number(slider.value);
+            value.textContent = slider.value;
+        });
+        slider.addEventListener('change', () => this.onChange());
+
+        weight.append(slider, value);
+        return weight;
+    }
+}
+
+// Export for use in app.js
+window.FaceList = FaceList;
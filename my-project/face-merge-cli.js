@@ -0,0 +1,201 @@
+#!/usr/bin/env node
+/**
+ * Face Merge command-line tool
+ * Morphs two PNG faces without a browser and writes one PNG per ratio.
+ *
+ *   node face-merge-cli.js --image1 a.png --image2 b.png \
+ *       --landmarks1 a.json --landmarks2 b.json --frames 10 --out frames/morph-{index}.png
+ *
+ * Landmark files hold 68 points in image pixels, as [{x, y}], [[x, y]] or { landmarks: [...] }.
+ *
+ * Instead of landmark files, --detector can name a local module that exports a landmark provider,
+ * or a class that constructs one without arguments. The provider may have an async load(), and
+ * needs an async detectFaces(image) that receives the decoded PNG as { width, height, data }
+ * (RGBA bytes) and resolves to [{ score, landmarks }], with 68 landmarks in image pixels per face.
+ * FaceApiLandmarkProvider needs a browser, so in Node wrap a detector that runs there, or return
+ * known points with FixtureLandmarkProvider:
+ *
+ *   // detector.js: a.json and b.json hold [{ x, y }] points; the images are told apart by width
+ *   const { FixtureLandmarkProvider } = require('./my-project/landmark-providers.js');
+ *   const landmarks = { 640: require('./a.json'), 800: require('./b.json') };
+ *   module.exports = new FixtureLandmarkProvider(image => [{ landmarks: landmarks[image.width] }]);
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { MorphCore } = require('./morph-core.js');
+const { decodePng, encodePng } = require('./png-codec.js');
+
+const USAGE = `Usage: face-merge-cli.js --image1 <png> --image2 <png> [options]
+
+Landmarks (one of):
+  --landmarks1 <json> --landmarks2 <json>   Landmark files for each image
+  --detector <module>                      Local module exporting a landmark provider, or a
+                                           class for one: detectFaces({ width, height, data })
+                                           resolves to [{ score, landmarks }] (see the header
+                                           of face-merge-cli.js for an example)
+
+Ratios (default 0.5):
+  --ratios <list>      Comma-separated blend ratios, e.g. 0,0.25,0.5
+  --frames <n>         n ratios evenly spaced from 0 to 1
+
+Output:
+  --out <pattern>      File name pattern with {index} and {ratio} (default morph-{index}.png)
+  --size <WxH>         Output size in pixels (default 400x400)
+  --fit <mode>         stretch, letterbox or crop (default crop)
+  --align              Align both faces to a canonical pose
+  --background <mode>  blend, face1, face2, transparent, solid or blur (default blend)
+  --background-color <hex>
+                       Fill for --background solid (default #ffffff)
+  --help               Show this message`;
+
+async function main(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            image1: { type: 'string' },
+            image2: { type: 'string' },
+            landmarks1: { type: 'string' },
+            landmarks2: { type: 'string' },
+            detector: { type: 'string' },
+            ratios: { type: 'string' },
+            frames: { type: 'string' },
+            out: { type: 'string', default: 'morph-{index}.png' },
+            size: { type: 'string', default: '400x400' },
+            fit: { type: 'string', default: 'crop' },
+            align: { type: 'boolean', default: false },
+            background: { type: 'string', default: 'blend' },
+            'background-color': { type: 'string', default: '#ffffff' },
+            help: { type: 'boolean', default: false }
+        }
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return;
+    }
+    if (!values.image1 || !values.image2) {
+        throw new Error('Both --image1 and --image2 are required');
+    }
+
+    const [outputWidth, outputHeight] = parseSize(values.size);
+    if (!['stretch', 'letterbox', 'crop'].includes(values.fit)) {
+        throw new Error(`Unknown --fit mode "${values.fit}"`);
+    }
+    if (!['blend', 'face1', 'face2', 'transparent', 'solid', 'blur'].includes(values.background)) {
+        throw new Error(`Unknown --background mode "${values.background}"`);
+    }
+
+    const morpher = new MorphCore({
+        outputWidth,
+        outputHeight,
+        fit: values.fit,
+        align: values.align,
+        background: values.background,
+        backgroundColor: values['background-color']
+    });
+    if (values.background === 'solid') {
+        // Reject a bad color before any frame is rendered
+        morpher.parseColor(values['background-color']);
+    }
+    const image1 = readImage(values.image1);
+    const image2 = readImage(values.image2);
+    const [landmarks1, landmarks2] = await getLandmarks(values, image1, image2);
+    const ratios = getRatios(values);
+
+    const source1 = morpher.prepareImageData(image1, landmarks1);
+    const source2 = morpher.prepareImageData(image2, landmarks2);
+    const digits = String(ratios.length - 1).length;
+
+    ratios.forEach((ratio, index) => {
+        const file = values.out
+            .replace(/\{index\}/g, String(index).padStart(digits, '0'))
+            .replace(/\{ratio\}/g, ratio.toFixed(2));
+
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+        fs.writeFileSync(file, encodePng(morpher.morphSources(source1, source2, ratio)));
+        console.log(`Wrote ${file} (ratio ${ratio})`);
+    });
+}
+
+function parseSize(size) {
+    const match = /^(\d+)x(\d+)$/.exec(size);
+    if (!match || +match[1] === 0 || +match[2] === 0) {
+        throw new Error(`Invalid --size "${size}", expected WIDTHxHEIGHT`);
+    }
+    return [+match[1], +match[2]];
+}
+
+function readImage(file) {
+    try {
+        return decodePng(fs.readFileSync(file));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+}
+
+function getRatios(values) {
+    if (values.ratios) {
+        const ratios = values.ratios.split(',').map(Number);
+        if (ratios.some(r => !Number.isFinite(r))) {
+            throw new Error(`Invalid --ratios "${values.ratios}"`);
+        }
+        return ratios;
+    }
+
+    if (values.frames) {
+        const frames = parseInt(values.frames, 10);
+        if (!(frames >= 2)) {
+            throw new Error('--frames must be at least 2');
+        }
+        return Array.from({ length: frames }, (_, i) => i / (frames - 1));
+    }
+
+    return [0.5];
+}
+
+async function getLandmarks(values, image1, image2) {
+    if (values.landmarks1 && values.landmarks2) {
+        return [readLandmarks(values.landmarks1), readLandmarks(values.landmarks2)];
+    }
+    if (!values.detector) {
+        throw new Error('Pass --landmarks1 and --landmarks2, or --detector');
+    }
+
+    const exported = require(path.resolve(values.detector));
+    const provider = typeof exported === 'function' ? new exported() : exported;
+    if (!provider || typeof provider.detectFaces !== 'function') {
+        throw new Error(`${values.detector} must export a provider with detectFaces(), or a class that makes one`);
+    }
+    if (provider.load) await provider.load();
+
+    return Promise.all([image1, image2].map(async (image, i) => {
+        const faces = await provider.detectFaces(image);
+        if (!faces || faces.length === 0) {
+            throw new Error(`No face detected in ${values[`image${i + 1}`]}`);
+        }
+        return faces.reduce((best, face) => (face.score > best.score ? face : best)).landmarks;
+    }));
+}
+
+function readLandmarks(file) {
+    let json;
+    try {
+        json = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+
+    const points = Array.isArray(json) ? json : json && json.landmarks;
+    if (!Array.isArray(points) || points.length < 3) {
+        throw new Error(`${file}: expected an array of landmark points`);
+    }
+
+    return points.map(pt => (Array.isArray(pt) ? { x: pt[0], y: pt[1] } : { x: pt.x, y: pt.y }));
+}
+
+main(process.argv.slice(2)).catch(error => {
+    console.error(`face-merge: ${error.message}`);
+    process.exitCode = 1;
+});
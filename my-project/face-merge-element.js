@@ -0,0 +1,505 @@
+/**
+ * Face Merge Element
+ * The whole app as a <face-merge> custom element. Its markup lives in a shadow root, so a page
+ * can hold several without their element IDs or styles clashing. This is the only script a page
+ * needs: the rest of the app loads from the same folder.
+ *
+ *   <face-merge image1="a.jpg" image2="b.jpg" ratio="0.3" output-size="600x600"></face-merge>
+ *
+ * Attributes:
+ *   image1, image2 - Image URLs to start with
+ *   ratio          - Blend from face 1 (0) to face 2 (1); -0.5 to 1.5 extrapolates
+ *   output-size    - "600x600", or "600" for a square
+ *   model-url      - Model weights; defaults to models/ next to this script
+ *   autosave       - Keep the session in IndexedDB like the standalone page (one element per page)
+ * Events:
+ *   morph-complete - After every render; detail.canvas holds the result
+ *   error          - detail.message is the error shown to the user
+ * Methods:
+ *   setFace(slot, source) - Load a File, Blob, image URL or <img> into slot 1 or 2
+ *   export(type, quality) - Resolve to the current result as a Blob
+ * Properties:
+ *   ready - Resolves once the models are in; rejects if the app or its models fail to load,
+ *           or if the element is removed first
+ * Removing the element from the page stops its camera, worker and page-wide listeners; adding
+ * it back starts a fresh app.
+ */
+
+const FACE_MERGE_BASE_URL = new URL('.', document.currentScript.src).href;
+
+// App scripts in load order, relative to this file
+const FACE_MERGE_SCRIPTS = [
+    'vendor/face-api.min.js',
+    'landmark-providers.js',
+    'morph-core.js',
+    'face-morph.js',
+    'webgl-morpher.js',
+    'worker-morpher.js',
+    'gif-encoder.js',
+    'zip-writer.js',
+    'morph-exporter.js',
+    'morph-timeline.js',
+    'image-input.js',
+    'face-list.js',
+    'keyframe-list.js',
+    'face-swap.js',
+    'preview-overlay.js',
+    'landmark-editor.js',
+    'face-picker.js',
+    'project-store.js',
+    'camera-source.js',
+    'morph-diagnostics.js',
+    'app.js'
+];
+
+// The app's markup; the inline rules keep hidden parts hidden until style.css has loaded
+const FACE_MERGE_TEMPLATE = `
+    <style>
+        :host { display: block; }
+        .hidden { display: none !important; }
+    </style>
+    <link rel="stylesheet" href="${FACE_MERGE_BASE_URL}style.css">
+    <div id="loading" class="loading">
+        <div id="loadingStatus">
+            <div class="spinner"></div>
+            <p>Loading face detection models...</p>
+        </div>
+        <div id="loadError" class="load-error hidden">
+            <p id="loadErrorMessage"></p>
+            <button id="retryBtn" class="download-btn">Retry</button>
+        </div>
+    </div>
+
+    <div id="app" class="hidden">
+        <div class="mode-tabs">
+            <button class="mode-tab active" data-mode="pair">Two Faces</button>
+            <button class="mode-tab" data-mode="swap">Face Swap</button>
+            <button class="mode-tab" data-mode="average">Average Face</button>
+            <button class="mode-tab" data-mode="timeline">Timeline</button>
+        </div>
+
+        <div class="project-bar">
+            <input type="file" id="projectFile" accept=".json,application/json" hidden>
+            <button id="newProjectBtn" class="tool-btn" title="Start over and forget the saved session">New</button>
+            <button id="openProjectBtn" class="tool-btn">Open Project</button>
+            <button id="saveProjectBtn" class="tool-btn">Save Project</button>
+        </div>
+
+        <div class="upload-section" id="pairSection">
+            <div class="upload-box" id="upload1">
+                <input type="file" id="file1" accept="image/*" hidden>
+                <div class="upload-content">
+                    <div class="upload-icon">+</div>
+                    <p>Upload Face 1</p>
+                </div>
+                <img id="preview1" class="preview hidden" alt="Face 1">
+                <canvas id="canvas1" class="hidden"></canvas>
+            </div>
+
+            <div class="upload-box" id="upload2">
+                <input type="file" id="file2" accept="image/*" hidden>
+                <div class="upload-content">
+                    <div class="upload-icon">+</div>
+                    <p>Upload Face 2</p>
+                </div>
+                <img id="preview2" class="preview hidden" alt="Face 2">
+                <canvas id="canvas2" class="hidden"></canvas>
+            </div>
+        </div>
+
+        <div id="cameraBar" class="camera-bar">
+            <button id="cameraBtn1" class="tool-btn">Use Camera for Face 1</button>
+            <button id="snapshotBtn" class="tool-btn hidden">Take Snapshot</button>
+            <button id="cameraBtn2" class="tool-btn">Use Camera for Face 2</button>
+        </div>
+
+        <div id="editorToolbar" class="editor-toolbar hidden">
+            <button id="editLandmarksBtn" class="tool-btn">Edit Landmarks</button>
+            <button id="addPointBtn" class="tool-btn" disabled>Add Point</button>
+            <button id="undoBtn" class="tool-btn" disabled title="Undo (Ctrl+Z)">Undo</button>
+            <button id="redoBtn" class="tool-btn" disabled title="Redo (Ctrl+Shift+Z)">Redo</button>
+        </div>
+
+        <div id="averageSection" class="average-section hidden">
+            <input type="file" id="averageFiles" accept="image/*" multiple hidden>
+            <div id="faceList" class="face-list"></div>
+            <div class="upload-box average-add" id="averageAdd">
+                <div class="upload-content">
+                    <div class="upload-icon">+</div>
+                    <p>Add Faces (up to 20)</p>
+                </div>
+            </div>
+        </div>
+
+        <div id="timelineSection" class="average-section hidden">
+            <input type="file" id="timelineFiles" accept="image/*" multiple hidden>
+            <div id="keyframeList" class="face-list"></div>
+            <div class="upload-box average-add" id="timelineAdd">
+                <div class="upload-content">
+                    <div class="upload-icon">+</div>
+                    <p>Add Keyframe Faces (in order)</p>
+                </div>
+            </div>
+        </div>
+
+        <div id="controls" class="controls hidden">
+            <div id="blendControls" class="blend-controls">
+                <div class="blend-group">
+                    <label for="shapeSlider">Shape</label>
+                    <div class="slider-container">
+                        <span>Face 1</span>
+                        <input type="range" id="shapeSlider" min="-50" max="150" value="50">
+                        <span>Face 2</span>
+                    </div>
+                    <div class="blend-value"><span id="shapeValue">50</span>%</div>
+                </div>
+                <div class="blend-group">
+                    <label for="textureSlider">Skin &amp; Color</label>
+                    <div class="slider-container">
+                        <span>Face 1</span>
+                        <input type="range" id="textureSlider" min="-50" max="150" value="50">
+                        <span>Face 2</span>
+                    </div>
+                    <div class="blend-value"><span id="textureValue">50</span>%</div>
+                </div>
+
+                <div class="region-controls">
+                    <label class="checkbox-label"><input type="checkbox" id="regionBlend"> Blend features separately</label>
+                    <div id="regionSettings" class="region-settings hidden">
+                        <div class="output-options">
+                            <label for="regionPreset">Preset
+                                <select id="regionPreset">
+                                    <option value="" selected>Choose...</option>
+                                    <option value="eyes">Eyes from Face 2</option>
+                                    <option value="nose">Nose from Face 2</option>
+                                    <option value="mouth">Mouth from Face 2</option>
+                                    <option value="features">Face 2 features on Face 1</option>
+                                    <option value="outline">Face 2 outline with Face 1 features</option>
+                                    <option value="match">Match the main sliders</option>
+                                </select>
+                            </label>
+                        </div>
+                        <div class="region-grid">
+                            <span></span>
+                            <span>Shape</span>
+                            <span>Skin &amp; Color</span>
+                        <span>Jaw</span>
+                        <input type="range" class="region-slider" data-region="jaw" data-part="shape" min="-50" max="150" value="50" aria-label="Jaw shape">
+                        <input type="range" class="region-slider" data-region="jaw" data-part="texture" min="-50" max="150" value="50" aria-label="Jaw skin &amp; color">
+                        <span>Brows</span>
+                        <input type="range" class="region-slider" data-region="brows" data-part="shape" min="-50" max="150" value="50" aria-label="Brows shape">
+                        <input type="range" class="region-slider" data-region="brows" data-part="texture" min="-50" max="150" value="50" aria-label="Brows skin &amp; color">
+                        <span>Eyes</span>
+                        <input type="range" class="region-slider" data-region="eyes" data-part="shape" min="-50" max="150" value="50" aria-label="Eyes shape">
+                        <input type="range" class="region-slider" data-region="eyes" data-part="texture" min="-50" max="150" value="50" aria-label="Eyes skin &amp; color">
+                        <span>Nose</span>
+                        <input type="range" class="region-slider" data-region="nose" data-part="shape" min="-50" max="150" value="50" aria-label="Nose shape">
+                        <input type="range" class="region-slider" data-region="nose" data-part="texture" min="-50" max="150" value="50" aria-label="Nose skin &amp; color">
+                        <span>Mouth</span>
+                        <input type="range" class="region-slider" data-region="mouth" data-part="shape" min="-50" max="150" value="50" aria-label="Mouth shape">
+                        <input type="range" class="region-slider" data-region="mouth" data-part="texture" min="-50" max="150" value="50" aria-label="Mouth skin &amp; color">
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <div id="swapControls" class="swap-controls hidden">
+                <label for="featherSlider">Edge Softness</label>
+                <div class="slider-container">
+                    <span>Hard</span>
+                    <input type="range" id="featherSlider" min="0" max="20" value="8">
+                    <span>Soft</span>
+                </div>
+                <div class="output-options">
+                    <label for="colorMatch">Skin Tone Match
+                        <select id="colorMatch">
+                            <option value="color" selected>Color</option>
+                            <option value="luminance">Brightness only</option>
+                            <option value="none">None</option>
+                        </select>
+                    </label>
+                </div>
+            </div>
+
+            <div id="timelineControls" class="timeline-controls hidden">
+                <button id="timelinePlayBtn" class="tool-btn">Play</button>
+                <input type="range" id="timelineScrub" min="0" max="0" step="10" value="0" aria-label="Timeline position">
+                <span id="timelineTime" class="timeline-time">0.0 / 0.0 s</span>
+            </div>
+
+            <div id="framingControls">
+                <div class="output-options">
+                    <label for="outputSize">Output Size
+                        <select id="outputSize">
+                            <option value="400x400" selected>400 × 400</option>
+                            <option value="600x600">600 × 600</option>
+                            <option value="800x800">800 × 800</option>
+                            <option value="480x640">480 × 640 (portrait)</option>
+                            <option value="600x800">600 × 800 (portrait)</option>
+                            <option value="640x480">640 × 480 (landscape)</option>
+                            <option value="800x600">800 × 600 (landscape)</option>
+                        </select>
+                    </label>
+                    <label for="fitMode">Framing
+                        <select id="fitMode">
+                            <option value="crop" selected>Crop to face</option>
+                            <option value="letterbox">Letterbox</option>
+                            <option value="stretch">Stretch</option>
+                        </select>
+                    </label>
+                    <label for="backgroundMode" id="backgroundLabel">Background
+                        <select id="backgroundMode">
+                            <option value="blend" selected>Both photos</option>
+                            <option value="face1">Face 1 photo</option>
+                            <option value="face2">Face 2 photo</option>
+                            <option value="transparent">Transparent</option>
+                            <option value="solid">Solid color</option>
+                            <option value="blur">Blurred</option>
+                        </select>
+                    </label>
+                    <label for="backgroundColor" id="backgroundColorLabel" class="hidden">Color
+                        <input type="color" id="backgroundColor" value="#ffffff">
+                    </label>
+                </div>
+
+                <div class="align-options">
+                    <label class="checkbox-label"><input type="checkbox" id="alignFaces"> Align faces</label>
+                    <div id="alignSettings" class="align-settings hidden">
+                        <label>Face Size <input type="range" id="alignSize" min="15" max="50" value="30"></label>
+                        <label>Horizontal <input type="range" id="alignX" min="20" max="80" value="50"></label>
+                        <label>Vertical <input type="range" id="alignY" min="20" max="80" value="40"></label>
+                    </div>
+                </div>
+            </div>
+        </div>
+
+        <div id="result-section" class="result-section hidden">
+            <h2>Result</h2>
+            <div id="resultFrame" class="result-frame">
+                <canvas id="resultCanvas"></canvas>
+            </div>
+            <button id="downloadBtn" class="download-btn">Download Result</button>
+
+            <div id="exportPanel" class="export-panel">
+                <h3>Export Animation</h3>
+                <div class="export-options">
+                    <label class="pair-export-option">Frames <input type="number" id="exportFrames" min="2" max="120" value="30"></label>
+                    <label>FPS <input type="number" id="exportFps" min="1" max="60" value="15"></label>
+                    <label class="pair-export-option">Hold <input type="number" id="exportHold" min="0" max="60" value="5"></label>
+                    <label class="pair-export-option"><input type="checkbox" id="exportPingPong" checked> Ping-pong</label>
+                </div>
+                <div class="export-buttons">
+                    <button id="exportGifBtn" class="download-btn">Export GIF</button>
+                    <button id="exportWebmBtn" class="download-btn">Export WebM</button>
+                    <button id="exportZipBtn" class="download-btn" title="Numbered PNG frames in a ZIP file">Export Frames</button>
+                </div>
+                <div id="exportStatus" class="export-status hidden"></div>
+            </div>
+
+            <details id="diagnosticsPanel" class="diagnostics-panel">
+                <summary id="diagnosticsSummary">Diagnostics</summary>
+                <div class="diagnostics-options">
+                    <label class="checkbox-label"><input type="checkbox" id="showLandmarks" checked> Landmarks</label>
+                    <label class="checkbox-label"><input type="checkbox" id="showMesh"> Triangles</label>
+                    <label class="checkbox-label"><input type="checkbox" id="showBadTriangles" checked> Degenerate &amp; folded triangles</label>
+                </div>
+                <div id="diagnosticsInfo" class="diagnostics-info"></div>
+                <ul id="diagnosticsWarnings" class="diagnostics-warnings"></ul>
+            </details>
+        </div>
+
+        <div id="error" class="error hidden"></div>
+    </div>
+`;
+
+class FaceMergeElement extends HTMLElement {
+    static get observedAttributes() {
+        return ['image1', 'image2', 'ratio', 'output-size'];
+    }
+
+    /**
+     * Load the app scripts once for every element, unless the page already includes them
+     * @returns {Promise}
+     */
+    static loadScripts() {
+        if (!FaceMergeElement.scripts) {
+            FaceMergeElement.scripts = window.FaceMergeApp
+                ? Promise.resolve()
+                : Promise.all(FACE_MERGE_SCRIPTS.map(file => new Promise((resolve, reject) => {
+                    const script = document.createElement('script');
+                    script.src = new URL(file, FACE_MERGE_BASE_URL).href;
+                    // Download in parallel but run in order
+                    script.async = false;
+                    script.onload = resolve;
+                    script.onerror = () => reject(new Error(`Could not load ${file}`));
+                    document.head.appendChild(script);
+                })));
+        }
+        return FaceMergeElement.scripts;
+    }
+
+    constructor() {
+        super();
+        this.app = null;
+        this.connection = null;
+        this.resetReady();
+    }
+
+    /**
+     * New ready promise, which settles once the models are in, or fails if the app or its models
+     * could not load
+     */
+    resetReady() {
+        this.ready = new Promise((resolve, reject) => {
+            this.resolveReady = resolve;
+            this.rejectReady = reject;
+        });
+        this.ready.catch(() => {});
+    }
+
+    connectedCallback() {
+        // Moving the element keeps the app it already runs
+        if (this.connection) return;
+        const connection = {};
+        this.connection = connection;
+
+        // Added back after disconnectedCallback() stopped the last app
+        if (this.shadowRoot) this.resetReady();
+
+        const root = this.shadowRoot || this.attachShadow({ mode: 'open' });
+        root.innerHTML = FACE_MERGE_TEMPLATE;
+
+        FaceMergeElement.loadScripts()
+            .then(() => {
+                // Removed, or removed and added back, while the scripts loaded: only the
+                // latest connection builds an app
+                if (this.connection === connection) this.createApp(root);
+            })
+            .catch(error => {
+                if (this.connection !== connection) return;
+                console.error('Face Merge failed to load:', error);
+                this.rejectReady(error);
+                this.dispatch('error', { message: `Face Merge failed to load: ${error.message}` });
+            });
+    }
+
+    /**
+     * A move disconnects and reconnects the element in one go, so only stop the app if the
+     * element is still out of the page once the current script yields (a microtask later)
+     */
+    disconnectedCallback() {
+        queueMicrotask(() => {
+            if (this.isConnected || !this.connection) return;
+
+            this.connection = null;
+            this.rejectReady(new Error('The face-merge element was removed from the page'));
+            if (this.app) {
+                this.app.destroy();
+                this.app = null;
+            }
+        });
+    }
+
+    createApp(root) {
+        const config = window.FACE_MERGE_CONFIG || {};
+
+        const app = new FaceMergeApp({
+            ...config,
+            root,
+            modelUrl: this.getAttribute('model-url') || config.modelUrl || new URL('models', FACE_MERGE_BASE_URL).href,
+            workerUrl: new URL('morph-worker.js', FACE_MERGE_BASE_URL).href,
+            autosave: this.hasAttribute('autosave'),
+            onReady: () => {
+                // Destroyed while the models loaded
+                if (this.app !== app) return;
+
+                // Settings first, so the first morph of the images already uses them
+                ['output-size', 'ratio', 'image1', 'image2'].forEach(name => this.applyAttribute(name));
+                this.resolveReady();
+
+                // A retry after a failed load leaves the first promise rejected
+                this.ready = Promise.resolve();
+            },
+            onLoadError: error => {
+                if (this.app === app) this.rejectReady(error);
+            },
+            onMorphComplete: canvas => this.dispatch('morph-complete', { canvas }),
+            onError: message => this.dispatch('error', { message })
+        });
+        this.app = app;
+    }
+
+    attributeChangedCallback(name) {
+        if (this.app && this.app.modelsLoaded) {
+            this.applyAttribute(name);
+        }
+    }
+
+    applyAttribute(name) {
+        const value = this.getAttribute(name);
+        if (value === null || value === '') return;
+
+        if (name === 'image1' || name === 'image2') {
+            this.app.setFace(name === 'image1' ? 1 : 2, value);
+        } else if (name === 'ratio') {
+            const ratio = Number(value);
+            if (Number.isFinite(ratio)) {
+                this.app.setBlend(ratio);
+            } else {
+                this.dispatch('error', { message: `Invalid ratio "${value}"; use a number such as 0.5.` });
+            }
+        } else if (name === 'output-size') {
+            const match = value.match(/^(\d+)(?:x(\d+))?$/);
+            if (match) {
+                this.app.setOutputSize(Number(match[1]), Number(match[2] || match[1]));
+            } else {
+                this.dispatch('error', { message: `Invalid output-size "${value}"; use e.g. "600x600" or "600".` });
+            }
+        }
+    }
+
+    /**
+     * Load a face into a slot once the models are ready. Detection problems are reported
+     * through the error event, as they are for uploads.
+     * @param {number} slot - 1 or 2
+     * @param {File|Blob|string|HTMLImageElement} source - Image file, image URL or loaded image
+     * @returns {Promise}
+     */
+    async setFace(slot, source) {
+        if (slot !== 1 && slot !== 2) {
+            throw new RangeError(`Face slot must be 1 or 2, not ${slot}`);
+        }
+
+        await this.ready;
+        return this.getApp().setFace(slot, source);
+    }
+
+    /**
+     * The current result as an image file
+     * @param {string} [type='image/png']
+     * @param {number} [quality] - For lossy types, 0 to 1
+     * @returns {Promise<Blob>}
+     */
+    async export(type = 'image/png', quality) {
+        await this.ready;
+        return this.getApp().exportResult(type, quality);
+    }
+
+    getApp() {
+        if (!this.app) {
+            throw new Error('The face-merge element is not in the page');
+        }
+        return this.app;
+    }
+
+    dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+}
+
+if (!customElements.get('face-merge')) {
+    customElements.define('face-merge', FaceMergeElement);
+}
+
+// Export for pages that script the element
+window.FaceMergeElement = FaceMergeElement;
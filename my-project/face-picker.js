@@ -0,0 +1,91 @@
+/**
+ * Face Picker
+ * Draws a box over every face detected in a preview so the user can pick which one to use
+ */
+
+class FacePicker {
+    /**
+     * @param {PreviewOverlay} overlay - Overlay to draw the boxes on
+     */
+    constructor(overlay) {
+        this.overlay = overlay;
+        this.faces = [];
+        this.selected = -1;
+    }
+
+    /**
+     * @param {Array} faces - Detections, each with a box { x, y, width, height } in image pixels
+     * @param {number} selected - Index of the face currently in use
+     */
+    setFaces(faces, selected) {
+        this.faces = faces;
+        this.selected = selected;
+        this.draw();
+    }
+
+    clear() {
+        this.setFaces([], -1);
+    }
+
+    /**
+     * Only offer a choice when the photo has more than one face
+     */
+    isActive() {
+        return this.faces.length > 1;
+    }
+
+    /**
+     * Index of the face box under a mouse event, or -1
+     */
+    hitTest(e) {
+        if (!this.isActive()) return -1;
+
+        const pos = this.overlay.eventPoint(e);
+        return this.faces.findIndex(face => {
+            const topLeft = this.overlay.toOverlay({ x: face.box.x, y: face.box.y });
+            const bottomRight = this.overlay.toOverlay({
+                x: face.box.x + face.box.width,
+                y: face.box.y + face.box.height
+            });
+            return pos.x >= topLeft.x && pos.x <= bottomRight.x &&
+                pos.y >= topLeft.y && pos.y <= bottomRight.y;
+        });
+    }
+
+    draw() {
+        this.overlay.resize();
+        if (!this.isActive() || !this.overlay.image) return;
+
+        const ctx = this.overlay.ctx;
+
+        this.faces.forEach((face, i) => {
+            const topLeft = this.overlay.toOverlay({ x: face.box.x, y: face.box.y });
+            const bottomRight = this.overlay.toOverlay({
+                x: face.box.x + face.box.width,
+                y: face.box.y + face.box.height
+            });
+            const selected = i === this.selected;
+
+            ctx.strokeStyle = selected ? '#00d9ff' : 'rgba(255, 255, 255, 0.7)';
+            ctx.lineWidth = selected ? 3 : 1.5;
+            ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+
+            ctx.fillStyle = selected ? '#00d9ff' : 'rgba(255, 255, 255, 0.7)';
+            ctx.font = 'bold 12px sans-serif';
+            ctx.fillText(String(i + 1), topLeft.x + 4, topLeft.y + 14);
+        });
+
+        // Hint along the top edge of the preview
+        const width = this.overlay.container.clientWidth;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, 24);
+        ctx.fillStyle = '#fff';
+        ctx.font = '12px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(`${this.faces.length} faces found - click one to use it`, width / 2, 16);
+        ctx.textAlign = 'start';
+    }
+}
+
+// Export for use in app.js
+window.FacePicker = FacePicker;
@@ -0,0 +1,158 @@
+/**
+ * Face Swap
+ * Warps face 2 onto face 1's geometry and composites it into face 1's original photo
+ */
+
+class FaceSwapper {
+    constructor(morpher) {
+        this.morpher = morpher;
+    }
+
+    /**
+     * Swap face 2 into face 1's photo at full resolution
+     * @param {HTMLImageElement} img1 - Photo that receives the new face
+     * @param {HTMLImageElement} img2 - Photo the face is taken from
+     * @param {Array} landmarks1 - 68 facial landmarks for face 1
+     * @param {Array} landmarks2 - 68 facial landmarks for face 2
+     * @param {Object} [options]
+     * @param {number} [options.feather=0.08] - Edge softness as a fraction of face width
+     * @param {string} [options.colorMatch='color'] - 'color' (per channel), 'luminance' or 'none'
+     * @returns {ImageData} - Face 1's photo with face 2 composited in
+     */
+    swap(img1, img2, landmarks1, landmarks2, options = {}) {
+        const m = this.morpher;
+        const featherFraction = options.feather !== undefined ? options.feather : 0.08;
+        const colorMatch = options.colorMatch || 'color';
+
+        const target = m.getNativeImageData(img1);
+        const source = { imageData: m.getNativeImageData(img2) };
+
+        // Only the area around the face changes, so work in that region alone
+        const hull = m.getFaceHull(landmarks1);
+        const xs = hull.map(pt => pt.x);
+        const ys = hull.map(pt => pt.y);
+        const faceWidth = Math.max(...xs) - Math.min(...xs);
+        const feather = Math.max(1, Math.round(faceWidth * featherFraction));
+
+        const region = this.getRegion(xs, ys, feather, target.width, target.height);
+        const toRegion = pt => ({ x: pt.x - region.x, y: pt.y - region.y });
+        const dstPts = landmarks1.map(toRegion);
+
+        // Warp face 2 onto face 1's triangulated geometry
+        const warped = new ImageData(region.width, region.height);
+        const triangles = m.computeDelaunay(dstPts);
+
+        for (const [i, j, k] of triangles) {
+            const srcTri = [landmarks2[i], landmarks2[j], landmarks2[k]];
+            const dstTri = [dstPts[i], dstPts[j], dstPts[k]];
+            m.warpTriangleMany([source], [srcTri], [1], warped, dstTri);
+        }
+
+        // Feathered hull mask, limited to pixels the warp actually covered
+        const mask = m.createFeatheredMask(hull.map(toRegion), feather, region.width, region.height);
+        for (let i = 0; i < mask.length; i++) {
+            mask[i] *= warped.data[i * 4 + 3] / 255;
+        }
+
+        if (colorMatch !== 'none') {
+            this.matchColors(warped, target, region, mask, colorMatch);
+        }
+
+        return this.composite(target, warped, region, mask);
+    }
+
+    getRegion(xs, ys, feather, width, height) {
+        const x = Math.max(0, Math.floor(Math.min(...xs)) - feather);
+        const y = Math.max(0, Math.floor(Math.min(...ys)) - feather);
+        const right = Math.min(width, Math.ceil(Math.max(...xs)) + feather + 1);
+        const bottom = Math.min(height, Math.ceil(Math.max(...ys)) + feather + 1);
+
+        return { x, y, width: Math.max(1, right - x), height: Math.max(1, bottom - y) };
+    }
+
+    /**
+     * Shift the warped face's color statistics to match face 1's skin inside the mask
+     */
+    matchColors(warped, target, region, mask, mode) {
+        const stats = (getPixel) => {
+            const sum = [0, 0, 0];
+            const sumSq = [0, 0, 0];
+            let count = 0;
+
+            for (let y = 0; y < region.height; y++) {
+                for (let x = 0; x < region.width; x++) {
+                    if (mask[y * region.width + x] < 0.5) continue;
+
+                    const px = getPixel(x, y);
+                    for (let c = 0; c < 3; c++) {
+                        sum[c] += px[c];
+                        sumSq[c] += px[c] * px[c];
+                    }
+                    count++;
+                }
+            }
+
+            if (count === 0) return null;
+
+            const mean = sum.map(v => v / count);
+            const std = sumSq.map((v, c) => Math.sqrt(Math.max(0, v / count - mean[c] * mean[c])));
+            return { mean, std };
+        };
+
+        const readWarped = (x, y) => {
+            const idx = (y * region.width + x) * 4;
+            return [warped.data[idx], warped.data[idx + 1], warped.data[idx + 2]];
+        };
+        const readTarget = (x, y) => {
+            const idx = ((y + region.y) * target.width + x + region.x) * 4;
+            return [target.data[idx], target.data[idx + 1], target.data[idx + 2]];
+        };
+        const toLuminance = read => (x, y) => {
+            const [r, g, b] = read(x, y);
+            const lum = 0.299 * r + 0.587 * g + 0.114 * b;
+            return [lum, lum, lum];
+        };
+
+        const luminance = mode === 'luminance';
+        const from = stats(luminance ? toLuminance(readWarped) : readWarped);
+        const to = stats(luminance ? toLuminance(readTarget) : readTarget);
+        if (!from || !to) return;
+
+        const gain = from.std.map((s, c) => (s > 1 ? to.std[c] / s : 1));
+
+        for (let i = 0; i < warped.data.length; i += 4) {
+            if (luminance) {
+                // Same brightness and contrast change on every channel keeps face 2's hue
+                const lum = 0.299 * warped.data[i] + 0.587 * warped.data[i + 1] + 0.114 * warped.data[i + 2];
+                const shift = (lum - from.mean[0]) * gain[0] + to.mean[0] - lum;
+                for (let c = 0; c < 3; c++) warped.data[i + c] += shift;
+            } else {
+                for (let c = 0; c < 3; c++) {
+                    warped.data[i + c] = (warped.data[i + c] - from.mean[c]) * gain[c] + to.mean[c];
+                }
+            }
+        }
+    }
+
+    composite(target, warped, region, mask) {
+        const output = new ImageData(new Uint8ClampedArray(target.data), target.width, target.height);
+
+        for (let y = 0; y < region.height; y++) {
+            for (let x = 0; x < region.width; x++) {
+                const alpha = mask[y * region.width + x];
+                if (alpha <= 0) continue;
+
+                const src = (y * region.width + x) * 4;
+                const dst = ((y + region.y) * target.width + x + region.x) * 4;
+                for (let c = 0; c < 3; c++) {
+                    output.data[dst + c] = output.data[dst + c] * (1 - alpha) + warped.data[src + c] * alpha;
+                }
+            }
+        }
+
+        return output;
+    }
+}
+
+// Export for use in app.js
+window.FaceSwapper = FaceSwapper;
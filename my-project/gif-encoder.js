@@ -0,0 +1,230 @@
+/**
+ * Animated GIF Encoder
+ * Encodes a sequence of RGBA frames into an animated GIF89a file
+ */
+
+class GifEncoder {
+    /**
+     * @param {number} width - Frame width in pixels
+     * @param {number} height - Frame height in pixels
+     * @param {Object} [options]
+     * @param {number} [options.loop=0] - Repeat count, 0 = loop forever
+     */
+    constructor(width, height, options = {}) {
+        this.width = width;
+        this.height = height;
+        this.loop = options.loop !== undefined ? options.loop : 0;
+        this.bytes = [];
+
+        this.writeHeader();
+    }
+
+    /**
+     * Add a frame to the animation
+     * @param {ImageData} imageData - Frame pixels, must match encoder size
+     * @param {number} delay - Frame duration in milliseconds
+     */
+    addFrame(imageData, delay) {
+        const { palette, indices } = this.quantize(imageData.data);
+
+        // Graphic control extension (frame delay in hundredths of a second)
+        const centiseconds = Math.max(2, Math.round(delay / 10));
+        this.writeBytes([0x21, 0xf9, 0x04, 0x00]);
+        this.writeShort(centiseconds);
+        this.writeBytes([0x00, 0x00]);
+
+        // Image descriptor with a 256 entry local color table
+        this.writeByte(0x2c);
+        this.writeShort(0);
+        this.writeShort(0);
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeByte(0x80 | 0x07);
+
+        for (let i = 0; i < 256; i++) {
+            const color = palette[i] || [0, 0, 0];
+            this.writeBytes(color);
+        }
+
+        // Image data
+        const minCodeSize = 8;
+        this.writeByte(minCodeSize);
+        this.writeSubBlocks(this.lzwEncode(indices, minCodeSize));
+    }
+
+    /**
+     * Finish the file and return it as a Blob
+     */
+    finish() {
+        this.writeByte(0x3b);
+        return new Blob([new Uint8Array(this.bytes)], { type: 'image/gif' });
+    }
+
+    writeHeader() {
+        this.writeBytes([0x47, 0x49, 0x46, 0x38, 0x39, 0x61]); // GIF89a
+
+        // Logical screen descriptor, no global color table
+        this.writeShort(this.width);
+        this.writeShort(this.height);
+        this.writeBytes([0x00, 0x00, 0x00]);
+
+        // NETSCAPE2.0 application extension for looping
+        this.writeBytes([0x21, 0xff, 0x0b]);
+        this.writeBytes([0x4e, 0x45, 0x54, 0x53, 0x43, 0x41, 0x50, 0x45, 0x32, 0x2e, 0x30]);
+        this.writeBytes([0x03, 0x01]);
+        this.writeShort(this.loop);
+        this.writeByte(0x00);
+    }
+
+    /**
+     * Reduce an RGBA buffer to a 256 color palette using a 15-bit color histogram
+     */
+    quantize(data) {
+        const pixelCount = data.length / 4;
+        const counts = new Uint32Array(32768);
+        const keys = new Uint16Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const idx = i * 4;
+            const key = ((data[idx] >> 3) << 10) | ((data[idx + 1] >> 3) << 5) | (data[idx + 2] >> 3);
+            keys[i] = key;
+            counts[key]++;
+        }
+
+        // Keep the most frequent buckets as the palette
+        const used = [];
+        for (let key = 0; key < 32768; key++) {
+            if (counts[key] > 0) used.push(key);
+        }
+        used.sort((a, b) => counts[b] - counts[a]);
+
+        const palette = used.slice(0, 256).map(key => [
+            ((key >> 10) & 31) * 8 + 4,
+            ((key >> 5) & 31) * 8 + 4,
+            (key & 31) * 8 + 4
+        ]);
+
+        // Map every bucket to its nearest palette entry (cached per bucket)
+        const lookup = new Int16Array(32768).fill(-1);
+        const indices = new Uint8Array(pixelCount);
+
+        for (let i = 0; i < pixelCount; i++) {
+            const key = keys[i];
+            if (lookup[key] === -1) {
+                lookup[key] = this.nearestColor(palette, key);
+            }
+            indices[i] = lookup[key];
+        }
+
+        return { palette, indices };
+    }
+
+    nearestColor(palette, key) {
+        const r = ((key >> 10) & 31) * 8 + 4;
+        const g = ((key >> 5) & 31) * 8 + 4;
+        const b = (key & 31) * 8 + 4;
+
+        let best = 0;
+        let bestDist = Infinity;
+        for (let i = 0; i < palette.length; i++) {
+            const dr = palette[i][0] - r;
+            const dg = palette[i][1] - g;
+            const db = palette[i][2] - b;
+            const dist = dr * dr + dg * dg + db * db;
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+                if (dist === 0) break;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Variable-length LZW compression as required by the GIF format
+     */
+    lzwEncode(indices, minCodeSize) {
+        const clearCode = 1 << minCodeSize;
+        const eoiCode = clearCode + 1;
+        const output = [];
+
+        let codeSize = minCodeSize + 1;
+        let nextCode = eoiCode + 1;
+        let table = new Map();
+        let buffer = 0;
+        let bufferBits = 0;
+
+        const emit = (code) => {
+            buffer |= code << bufferBits;
+            bufferBits += codeSize;
+            while (bufferBits >= 8) {
+                output.push(buffer & 0xff);
+                buffer >>>= 8;
+                bufferBits -= 8;
+            }
+        };
+
+        emit(clearCode);
+
+        let prefix = indices[0];
+        for (let i = 1; i < indices.length; i++) {
+            const k = indices[i];
+            const key = (prefix << 8) | k;
+            const code = table.get(key);
+
+            if (code !== undefined) {
+                prefix = code;
+                continue;
+            }
+
+            emit(prefix);
+
+            if (nextCode === 4096) {
+                emit(clearCode);
+                table = new Map();
+                codeSize = minCodeSize + 1;
+                nextCode = eoiCode + 1;
+            } else {
+                if (nextCode >= (1 << codeSize)) codeSize++;
+                table.set(key, nextCode++);
+            }
+
+            prefix = k;
+        }
+
+        emit(prefix);
+        emit(eoiCode);
+
+        if (bufferBits > 0) {
+            output.push(buffer & 0xff);
+        }
+
+        return output;
+    }
+
+    writeSubBlocks(data) {
+        for (let i = 0; i < data.length; i += 255) {
+            const block = data.slice(i, i + 255);
+            this.writeByte(block.length);
+            this.writeBytes(block);
+        }
+        this.writeByte(0x00);
+    }
+
+    writeByte(value) {
+        this.bytes.push(value & 0xff);
+    }
+
+    writeBytes(values) {
+        for (const value of values) {
+            this.bytes.push(value & 0xff);
+        }
+    }
+
+    writeShort(value) {
+        this.bytes.push(value & 0xff, (value >> 8) & 0xff);
+    }
+}
+
+// Export for use in app.js
+window.GifEncoder = GifEncoder;
@@ -0,0 +1,256 @@
+/**
+ * Image Input
+ * Turns files, clipboard contents and dropped links into decoded face images. Checks the
+ * file type, applies EXIF orientation where the browser does not, and downscales very
+ * large photos before they reach face detection.
+ */
+
+const SUPPORTED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/bmp'];
+const IMAGE_EXTENSIONS = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp', gif: 'image/gif', bmp: 'image/bmp' };
+
+class ImageInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ImageInputError';
+    }
+}
+
+class ImageInput {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.maxDimension=2048] - Longest side in pixels; larger images are scaled down
+     */
+    constructor(options = {}) {
+        this.maxDimension = options.maxDimension || 2048;
+    }
+
+    /**
+     * Whether the browser already rotates images by their EXIF orientation when decoding
+     */
+    static appliesOrientation() {
+        return typeof CSS !== 'undefined' && CSS.supports('image-orientation', 'from-image');
+    }
+
+    /**
+     * Every image in a drop or paste, as loaders that can be started when needed
+     * @param {DataTransfer} dataTransfer - From a drop event or event.clipboardData
+     * @returns {Array<{name: string, load: Function}>} - load() resolves to { image, url }
+     * @throws {ImageInputError} - When nothing in the transfer can be an image
+     */
+    getItems(dataTransfer) {
+        const files = Array.from(dataTransfer.files || []);
+        if (files.length > 0) {
+            return files.map(file => ({ name: file.name, load: () => this.fromFile(file) }));
+        }
+
+        const url = this.getDroppedUrl(dataTransfer);
+        if (url) {
+            return [{ name: this.getUrlName(url), load: () => this.fromUrl(url) }];
+        }
+
+        throw new ImageInputError('Nothing to use here. Drop or paste an image file, an image from a web page, or an image link.');
+    }
+
+    /**
+     * Image link from a drag out of another tab or pasted text
+     */
+    getDroppedUrl(dataTransfer) {
+        // Dragged <img> elements carry their markup; the uri-list may only be the surrounding link
+        const html = dataTransfer.getData('text/html');
+        if (html) {
+            const img = new DOMParser().parseFromString(html, 'text/html').querySelector('img[src]');
+            if (img) return img.getAttribute('src');
+        }
+
+        const uriList = dataTransfer.getData('text/uri-list');
+        const uri = uriList.split(/\r?\n/).find(line => line && !line.startsWith('#'));
+        if (uri) return uri.trim();
+
+        const text = dataTransfer.getData('text/plain').trim();
+        return /^(https?:\/\/\S+|data:image\/\S+)$/i.test(text) ? text : null;
+    }
+
+    getUrlName(url) {
+        if (url.startsWith('data:')) return 'Pasted image';
+
+        try {
+            return decodeURIComponent(new URL(url).pathname.split('/').pop()) || 'Image';
+        } catch (error) {
+            return 'Image';
+        }
+    }
+
+    /**
+     * @returns {Promise<{image: HTMLImageElement, url: string}>}
+     */
+    async fromUrl(url) {
+        let blob;
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            blob = await response.blob();
+        } catch (error) {
+            throw new ImageInputError(
+                'Could not download the image. The site may not allow its images to be used elsewhere; ' +
+                'save the image and upload the file instead.'
+            );
+        }
+
+        const name = this.getUrlName(url);
+        return this.fromFile(new File([blob], name, { type: blob.type }));
+    }
+
+    /**
+     * @returns {Promise<{image: HTMLImageElement, url: string}>}
+     */
+    async fromFile(file) {
+        const type = this.getType(file);
+        const url = await this.readAsDataUrl(file);
+
+        let image;
+        try {
+            image = await this.loadImage(url);
+        } catch (error) {
+            throw new ImageInputError(`"${file.name}" could not be read. The file may be damaged or not really a ${type.replace('image/', '').toUpperCase()}.`);
+        }
+
+        const orientation = type === 'image/jpeg' && !ImageInput.appliesOrientation()
+            ? this.readExifOrientation(await file.arrayBuffer())
+            : 1;
+
+        const width = image.naturalWidth;
+        const height = image.naturalHeight;
+        const scale = Math.min(1, this.maxDimension / Math.max(width, height));
+
+        if (orientation === 1 && scale === 1) {
+            return { image, url };
+        }
+
+        const normalizedUrl = this.normalize(image, orientation, scale, type);
+        return { image: await this.loadImage(normalizedUrl), url: normalizedUrl };
+    }
+
+    /**
+     * Supported MIME type of a file, falling back to its extension when the browser gives none
+     * @throws {ImageInputError} - For anything that is not a supported image
+     */
+    getType(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+        const type = file.type || IMAGE_EXTENSIONS[extension] || '';
+
+        if (SUPPORTED_IMAGE_TYPES.includes(type)) {
+            return type;
+        }
+        if (/image\/hei[cf]/.test(type) || ['heic', 'heif'].includes(extension)) {
+            throw new ImageInputError(`"${file.name}" is a HEIC photo, which browsers can't open. Export it as JPEG first.`);
+        }
+        if (type.startsWith('image/')) {
+            throw new ImageInputError(`"${file.name}" is a ${type.replace('image/', '').toUpperCase()} image, which is not supported. Use JPEG, PNG, WebP, GIF or BMP.`);
+        }
+        throw new ImageInputError(`"${file.name}" is not an image. Use a JPEG, PNG, WebP, GIF or BMP file.`);
+    }
+
+    readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new ImageInputError(`"${file.name}" could not be read.`));
+            reader.readAsDataURL(file);
+        });
+    }
+
+    loadImage(url) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => resolve(image);
+            image.onerror = reject;
+            image.src = url;
+        });
+    }
+
+    /**
+     * Redraw an image upright and at most maxDimension on its longest side
+     * @returns {string} - Data URL of the new image
+     */
+    normalize(image, orientation, scale, type) {
+        const width = Math.round(image.naturalWidth * scale);
+        const height = Math.round(image.naturalHeight * scale);
+        const swap = orientation >= 5;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = swap ? height : width;
+        canvas.height = swap ? width : height;
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.setTransform(...this.getOrientationTransform(orientation, width, height));
+        ctx.drawImage(image, 0, 0, width, height);
+
+        // Keep transparency for formats that can have it
+        return type === 'image/jpeg' || type === 'image/bmp'
+            ? canvas.toDataURL('image/jpeg', 0.92)
+            : canvas.toDataURL('image/png');
+    }
+
+    /**
+     * Canvas transform (a, b, c, d, e, f) that draws a width x height image upright
+     */
+    getOrientationTransform(orientation, width, height) {
+        switch (orientation) {
+            case 2: return [-1, 0, 0, 1, width, 0];
+            case 3: return [-1, 0, 0, -1, width, height];
+            case 4: return [1, 0, 0, -1, 0, height];
+            case 5: return [0, 1, 1, 0, 0, 0];
+            case 6: return [0, 1, -1, 0, height, 0];
+            case 7: return [0, -1, -1, 0, height, width];
+            case 8: return [0, -1, 1, 0, 0, width];
+            default: return [1, 0, 0, 1, 0, 0];
+        }
+    }
+
+    /**
+     * EXIF orientation (1-8) of a JPEG file, or 1 when it has none
+     */
+    readExifOrientation(buffer) {
+        const view = new DataView(buffer);
+
+        try {
+            if (view.getUint16(0) !== 0xffd8) return 1;
+
+            let offset = 2;
+            while (offset + 4 <= view.byteLength) {
+                const marker = view.getUint16(offset);
+                if ((marker & 0xff00) !== 0xff00 || marker === 0xffda) break;
+
+                // APP1 segment starting with "Exif\0\0"
+                if (marker === 0xffe1 && view.getUint32(offset + 4) === 0x45786966) {
+                    const tiff = offset + 10;
+                    const little = view.getUint16(tiff) === 0x4949;
+                    const ifd = tiff + view.getUint32(tiff + 4, little);
+                    const count = view.getUint16(ifd, little);
+
+                    for (let i = 0; i < count; i++) {
+                        const entry = ifd + 2 + i * 12;
+                        if (view.getUint16(entry, little) === 0x0112) {
+                            const orientation = view.getUint16(entry + 8, little);
+                            return orientation >= 1 && orientation <= 8 ? orientation : 1;
+                        }
+                    }
+                    return 1;
+                }
+
+                offset += 2 + view.getUint16(offset + 2);
+            }
+        } catch (error) {
+            // Truncated or malformed EXIF data; treat the image as upright
+        }
+
+        return 1;
+    }
+}
+
+// Export for use in app.js
+window.ImageInputError = ImageInputError;
+window.ImageInput = ImageInput;
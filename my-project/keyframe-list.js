@@ -0,0 +1,101 @@
+/**
+ * Keyframe List
+ * Ordered faces of a morph timeline. Each face sets the duration and easing of the
+ * segment that leads to the next face with landmarks.
+ */
+
+class KeyframeList extends FaceList {
+    createEntry(saved = {}) {
+        const easings = MorphTimeline.getEasings().map(easing => easing.id);
+
+        return {
+            ...super.createEntry(saved),
+            duration: saved.duration > 0 ? saved.duration : 2,
+            easing: easings.includes(saved.easing) ? saved.easing : 'easeInOut'
+        };
+    }
+
+    serializeEntry(entry) {
+        return {
+            name: entry.name,
+            image: entry.url,
+            landmarks: entry.landmarks,
+            duration: entry.duration,
+            easing: entry.easing
+        };
+    }
+
+    /**
+     * Move a face earlier (-1) or later (1) in the timeline
+     */
+    move(id, offset) {
+        const index = this.entries.findIndex(entry => entry.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.entries.length) return;
+
+        const [entry] = this.entries.splice(index, 1);
+        this.entries.splice(target, 0, entry);
+        this.render();
+        this.onChange();
+    }
+
+    renderControls(entry) {
+        const controls = document.createElement('div');
+        controls.className = 'face-weight keyframe-controls';
+
+        const index = this.entries.indexOf(entry);
+        [['↑', 'Move earlier', -1], ['↓', 'Move later', 1]].forEach(([label, title, offset]) => {
+            const button = document.createElement('button');
+            button.className = 'keyframe-move';
+            button.textContent = label;
+            button.title = title;
+            button.disabled = index + offset < 0 || index + offset >= this.entries.length;
+            button.addEventListener('click', () => this.move(entry.id, offset));
+            controls.appendChild(button);
+        });
+
+        const ready = this.getReadyEntries();
+        if (entry === ready[ready.length - 1]) {
+            const end = document.createElement('span');
+            end.textContent = 'End';
+            controls.appendChild(end);
+            return controls;
+        }
+
+        const duration = document.createElement('input');
+        duration.type = 'number';
+        duration.min = '0.1';
+        duration.max = '30';
+        duration.step = '0.1';
+        duration.value = entry.duration;
+        duration.title = 'Seconds to morph into the next face';
+        duration.addEventListener('change', () => {
+            entry.duration = Math.max(0.1, Math.min(30, Number(duration.value) || 2));
+            duration.value = entry.duration;
+            this.onChange();
+        });
+
+        const unit = document.createElement('span');
+        unit.textContent = 's';
+
+        const easing = document.createElement('select');
+        easing.title = 'Easing into the next face';
+        for (const { id, label } of MorphTimeline.getEasings()) {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = label;
+            easing.appendChild(option);
+        }
+        easing.value = entry.easing;
+        easing.addEventListener('change', () => {
+            entry.easing = easing.value;
+            this.onChange();
+        });
+
+        controls.append(duration, unit, easing);
+        return controls;
+    }
+}
+
+// Export for use in app.js
+window.KeyframeList = KeyframeList;
@@ -0,0 +1,289 @@
+/**
+ * Landmark Editor
+ * Draws landmarks and the Delaunay mesh over both previews and lets the user drag
+ * points, add matched control points to both faces, and undo or redo each edit
+ */
+
+const DETECTED_POINT_COUNT = 68;
+const POINT_HIT_RADIUS = 10;
+const MAX_HISTORY = 100;
+
+class LandmarkEditor {
+    /**
+     * @param {Object} options
+     * @param {Object} options.overlays - PreviewOverlay for each slot, keyed 1 and 2
+     * @param {FaceMorpher} options.morpher - Used for triangulation
+     * @param {Function} options.onChange - Called with (slot, landmarks) after every edit
+     */
+    constructor(options) {
+        this.overlays = options.overlays;
+        this.morpher = options.morpher;
+        this.onChange = options.onChange;
+
+        this.landmarks = { 1: null, 2: null };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.enabled = false;
+        this.addMode = false;
+        this.drag = null;
+        this.frameRequested = false;
+
+        [1, 2].forEach(slot => this.bindPointerEvents(slot));
+    }
+
+    /**
+     * Replace a slot's landmarks after detection. Custom control points already placed on
+     * the other face are carried over to this face so both stay matched.
+     */
+    setLandmarks(slot, landmarks) {
+        const other = slot === 1 ? 2 : 1;
+        const points = landmarks.map(pt => ({ x: pt.x, y: pt.y }));
+        const otherPoints = this.landmarks[other];
+
+        if (otherPoints && otherPoints.length > DETECTED_POINT_COUNT) {
+            for (const pt of otherPoints.slice(DETECTED_POINT_COUNT)) {
+                points.push(this.mapPoint(pt, other, slot, points.slice(0, DETECTED_POINT_COUNT)));
+            }
+        }
+
+        this.landmarks[slot] = points;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.draw();
+
+        return points;
+    }
+
+    /**
+     * Replace both slots at once, e.g. from a saved project, without carrying points over
+     */
+    loadLandmarks(landmarks) {
+        const copy = pts => (pts ? pts.map(pt => ({ x: pt.x, y: pt.y })) : null);
+        this.landmarks = { 1: copy(landmarks[1]), 2: copy(landmarks[2]) };
+        this.undoStack = [];
+        this.redoStack = [];
+        this.draw();
+
+        return this.landmarks;
+    }
+
+    getLandmarks(slot) {
+        return this.landmarks[slot];
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.addMode = false;
+
+        [1, 2].forEach(slot => this.overlays[slot].setInteractive(enabled));
+        this.draw();
+    }
+
+    setAddMode(addMode) {
+        this.addMode = addMode;
+        this.draw();
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    undo() {
+        if (!this.canUndo()) return;
+        this.redoStack.push(this.snapshot());
+        this.restore(this.undoStack.pop());
+    }
+
+    redo() {
+        if (!this.canRedo()) return;
+        this.undoStack.push(this.snapshot());
+        this.restore(this.redoStack.pop());
+    }
+
+    snapshot() {
+        const copy = pts => (pts ? pts.map(pt => ({ x: pt.x, y: pt.y })) : null);
+        return { 1: copy(this.landmarks[1]), 2: copy(this.landmarks[2]) };
+    }
+
+    pushHistory() {
+        this.undoStack.push(this.snapshot());
+        if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+        this.redoStack = [];
+    }
+
+    restore(state) {
+        this.landmarks = state;
+        this.draw();
+        [1, 2].forEach(slot => {
+            if (this.landmarks[slot]) this.onChange(slot, this.landmarks[slot]);
+        });
+    }
+
+    bindPointerEvents(slot) {
+        const overlay = this.overlays[slot];
+        const canvas = overlay.canvas;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.enabled || !this.landmarks[slot]) return;
+            e.preventDefault();
+
+            const pos = overlay.eventPoint(e);
+
+            if (this.addMode) {
+                this.addControlPoint(slot, overlay.toImage(pos));
+                return;
+            }
+
+            const index = this.findPoint(slot, pos);
+            if (index === -1) return;
+
+            this.pushHistory();
+            this.drag = { slot, index };
+            canvas.setPointerCapture(e.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', (e) => {
+            if (!this.drag || this.drag.slot !== slot) return;
+
+            const pt = overlay.toImage(overlay.eventPoint(e));
+            this.landmarks[slot][this.drag.index] = pt;
+            this.scheduleChange(slot);
+        });
+
+        const endDrag = () => {
+            if (!this.drag || this.drag.slot !== slot) return;
+            this.drag = null;
+            this.scheduleChange(slot);
+        };
+        canvas.addEventListener('pointerup', endDrag);
+        canvas.addEventListener('pointercancel', endDrag);
+    }
+
+    /**
+     * Redraw and notify at most once per animation frame while dragging
+     */
+    scheduleChange(slot) {
+        if (this.frameRequested) return;
+        this.frameRequested = true;
+
+        requestAnimationFrame(() => {
+            this.frameRequested = false;
+            this.draw();
+            this.onChange(slot, this.landmarks[slot]);
+        });
+    }
+
+    /**
+     * Index of the point nearest to an overlay position, or -1 if none is close enough
+     */
+    findPoint(slot, pos) {
+        const overlay = this.overlays[slot];
+        let best = -1;
+        let bestDist = POINT_HIT_RADIUS;
+
+        this.landmarks[slot].forEach((pt, i) => {
+            const p = overlay.toOverlay(pt);
+            const dist = Math.hypot(p.x - pos.x, p.y - pos.y);
+            if (dist < bestDist) {
+                bestDist = dist;
+                best = i;
+            }
+        });
+
+        return best;
+    }
+
+    /**
+     * Add a control point to one face and the matching position on the other face
+     */
+    addControlPoint(slot, pt) {
+        const other = slot === 1 ? 2 : 1;
+        if (!this.landmarks[other]) return;
+
+        this.pushHistory();
+        const matched = this.mapPoint(pt, slot, other, this.landmarks[other]);
+        this.landmarks[slot].push(pt);
+        this.landmarks[other].push(matched);
+
+        this.draw();
+        this.onChange(slot, this.landmarks[slot]);
+        this.onChange(other, this.landmarks[other]);
+    }
+
+    /**
+     * Carry a point from one face to the other through the landmark mesh, using its
+     * barycentric position in the enclosing triangle
+     */
+    mapPoint(pt, fromSlot, toSlot, toLandmarks) {
+        const fromLandmarks = this.landmarks[fromSlot];
+        const count = Math.min(fromLandmarks.length, toLandmarks.length);
+        const fromPts = [...fromLandmarks.slice(0, count), ...this.getImageCorners(fromSlot)];
+        const toPts = [...toLandmarks.slice(0, count), ...this.getImageCorners(toSlot)];
+
+        for (const [i, j, k] of this.morpher.computeDelaunay(fromPts)) {
+            const tri = [fromPts[i], fromPts[j], fromPts[k]];
+            if (!this.morpher.pointInTriangle(pt, tri)) continue;
+
+            const M = this.morpher.computeAffine(tri, [toPts[i], toPts[j], toPts[k]]);
+            return this.morpher.applyAffine(M, pt.x, pt.y);
+        }
+
+        // Outside the mesh: keep the same relative position in the image
+        const from = this.overlays[fromSlot].image;
+        const to = this.overlays[toSlot].image;
+        return {
+            x: pt.x / (from.naturalWidth || from.videoWidth || from.width) * (to.naturalWidth || to.videoWidth || to.width),
+            y: pt.y / (from.naturalHeight || from.videoHeight || from.height) * (to.naturalHeight || to.videoHeight || to.height)
+        };
+    }
+
+    getImageCorners(slot) {
+        const img = this.overlays[slot].image;
+        const w = img.naturalWidth || img.videoWidth || img.width;
+        const h = img.naturalHeight || img.videoHeight || img.height;
+        return [{ x: 0, y: 0 }, { x: w, y: 0 }, { x: w, y: h }, { x: 0, y: h }];
+    }
+
+    draw() {
+        [1, 2].forEach(slot => this.drawSlot(slot));
+    }
+
+    drawSlot(slot) {
+        const overlay = this.overlays[slot];
+        overlay.resize();
+
+        const points = this.landmarks[slot];
+        if (!this.enabled || !points || !overlay.image) return;
+
+        const ctx = overlay.ctx;
+        const screen = points.map(pt => overlay.toOverlay(pt));
+
+        // Delaunay mesh over the landmarks
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (const [i, j, k] of this.morpher.computeDelaunay(points)) {
+            ctx.moveTo(screen[i].x, screen[i].y);
+            ctx.lineTo(screen[j].x, screen[j].y);
+            ctx.lineTo(screen[k].x, screen[k].y);
+            ctx.closePath();
+        }
+        ctx.stroke();
+
+        // Detected points in cyan, custom control points in magenta
+        screen.forEach((p, i) => {
+            const active = this.drag && this.drag.slot === slot && this.drag.index === i;
+            ctx.fillStyle = i < DETECTED_POINT_COUNT ? '#00d9ff' : '#ff00ff';
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, active ? 5 : 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+}
+
+// Export for use in app.js
+window.LandmarkEditor = LandmarkEditor;
@@ -0,0 +1,127 @@
+/**
+ * Landmark Providers
+ * FaceMergeApp detects faces through a provider, so face-api.js can be swapped for another
+ * detector or for fixture landmarks in tests. A provider is any object with:
+ *   async load()              - Load models; reject with a ModelLoadError on failure
+ *   async detectFaces(input)  - Resolve to [{ box: { x, y, width, height }, score, landmarks }]
+ *                               with 68 landmarks per face in input pixel coordinates
+ */
+
+class ModelLoadError extends Error {
+    /**
+     * @param {string} message - User-facing explanation of what failed
+     * @param {string} reason - 'library', 'not-found', 'network' or 'invalid'
+     */
+    constructor(message, reason) {
+        super(message);
+        this.name = 'ModelLoadError';
+        this.reason = reason;
+    }
+}
+
+class FaceApiLandmarkProvider {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.modelUrl='models'] - Base path or URL of the model weight files
+     */
+    constructor(options = {}) {
+        this.modelUrl = (options.modelUrl || 'models').replace(/\/$/, '');
+    }
+
+    async load() {
+        if (typeof faceapi === 'undefined') {
+            throw new ModelLoadError(
+                'The face-api.js library did not load. Check that vendor/face-api.min.js is being served.',
+                'library'
+            );
+        }
+
+        try {
+            await Promise.all([
+                faceapi.nets.tinyFaceDetector.loadFromUri(this.modelUrl),
+                faceapi.nets.faceLandmark68Net.loadFromUri(this.modelUrl)
+            ]);
+        } catch (error) {
+            throw this.describeError(error);
+        }
+    }
+
+    /**
+     * Turn fetch and parse failures into specific, actionable messages
+     */
+    describeError(error) {
+        const message = error && error.message ? error.message : String(error);
+        const status = message.match(/\((\d{3})\)/);
+
+        if (status) {
+            return new ModelLoadError(
+                `Face detection models were not found at "${this.modelUrl}" (HTTP ${status[1]}). Check the model path.`,
+                'not-found'
+            );
+        }
+        if (error instanceof TypeError || /fetch|network/i.test(message)) {
+            return new ModelLoadError(
+                `Could not reach the face detection models at "${this.modelUrl}". Check your connection or the model path.`,
+                'network'
+            );
+        }
+        return new ModelLoadError(
+            `The face detection models at "${this.modelUrl}" could not be read: ${message}`,
+            'invalid'
+        );
+    }
+
+    async detectFaces(input) {
+        const results = await faceapi
+            .detectAllFaces(input, new faceapi.TinyFaceDetectorOptions())
+            .withFaceLandmarks();
+
+        return results.map(result => ({
+            box: {
+                x: result.detection.box.x,
+                y: result.detection.box.y,
+                width: result.detection.box.width,
+                height: result.detection.box.height
+            },
+            score: result.detection.score,
+            landmarks: result.landmarks.positions.map(pt => ({
+                x: pt.x,
+                y: pt.y
+            }))
+        }));
+    }
+}
+
+/**
+ * Returns fixed landmarks instead of running a detector, for tests and offline demos
+ */
+class FixtureLandmarkProvider {
+    /**
+     * @param {Array|Function} fixtures - Faces to return, or (input) => faces
+     */
+    constructor(fixtures) {
+        this.fixtures = fixtures;
+    }
+
+    async load() {}
+
+    async detectFaces(input) {
+        const faces = typeof this.fixtures === 'function' ? this.fixtures(input) : this.fixtures;
+
+        // Copy so edits in the app never change the fixtures
+        return (faces || []).map(face => ({
+            box: { ...face.box },
+            score: face.score !== undefined ? face.score : 1,
+            landmarks: face.landmarks.map(pt => ({ x: pt.x, y: pt.y }))
+        }));
+    }
+}
+
+// Export for Node.js (tests and face-merge-cli.js detectors), or for app.js in the page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ModelLoadError, FaceApiLandmarkProvider, FixtureLandmarkProvider };
+} else {
+    self.ModelLoadError = ModelLoadError;
+    self.FaceApiLandmarkProvider = FaceApiLandmarkProvider;
+    self.FixtureLandmarkProvider = FixtureLandmarkProvider;
+}
@@ -0,0 +1,1052 @@
+/**
+ * Face Morphing Core
+ * Triangulation, warping and blending on plain RGBA buffers. Has no DOM dependencies,
+ * so it runs in the page, in a Web Worker and in Node.js.
+ */
+
+// Directions of the Bowyer-Watson super triangle's vertices, which sit at infinity
+const SUPER_DIRECTIONS = [
+    { x: 0, y: -1 },
+    { x: Math.sqrt(3) / 2, y: 0.5 },
+    { x: -Math.sqrt(3) / 2, y: 0.5 }
+];
+
+// Triangles with a smaller doubled area are treated as degenerate by computeAffine()
+const AFFINE_EPSILON = 1e-10;
+
+// Standard 68-point landmark groups, as inclusive index ranges
+const FACE_REGIONS = {
+    jaw: [0, 16],
+    brows: [17, 26],
+    nose: [27, 35],
+    eyes: [36, 47],
+    mouth: [48, 67]
+};
+
+class MorphCore {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.outputWidth=400] - Output width in pixels
+     * @param {number} [options.outputHeight=400] - Output height in pixels
+     * @param {string} [options.fit='stretch'] - How sources fill the output: 'stretch', 'letterbox' or 'crop' (crop to face)
+     * @param {boolean} [options.align=false] - Rotate, scale and move each face to a canonical pose (overrides fit)
+     * @param {number} [options.faceSize=0.3] - Canonical distance between eye centers, as a fraction of output width
+     * @param {Object} [options.facePosition={x: 0.5, y: 0.4}] - Canonical midpoint between the eyes, as fractions of output size
+     * @param {string} [options.background='blend'] - Around the face: 'blend' (both photos cross-faded), 'face1' or
+     *     'face2' (that photo only), 'transparent', 'solid' or 'blur' (the blend, blurred)
+     * @param {string} [options.backgroundColor='#ffffff'] - Fill for the 'solid' background
+     * @param {number} [options.backgroundBlur=0.03] - Blur radius for the 'blur' background, as a fraction of output width
+     * @param {number} [options.backgroundFeather=0.08] - Softness of the face edge, as a fraction of face width
+     */
+    constructor(options = {}) {
+        this.outputWidth = options.outputWidth || 400;
+        this.outputHeight = options.outputHeight || 400;
+        this.fit = options.fit || 'stretch';
+        this.align = options.align || false;
+        this.faceSize = options.faceSize || 0.3;
+        this.facePosition = options.facePosition || { x: 0.5, y: 0.4 };
+        this.background = options.background || 'blend';
+        this.backgroundColor = options.backgroundColor || '#ffffff';
+        this.backgroundBlur = options.backgroundBlur !== undefined ? options.backgroundBlur : 0.03;
+        this.backgroundFeather = options.backgroundFeather !== undefined ? options.backgroundFeather : 0.08;
+    }
+
+    /**
+     * Merge per-call options over the constructor defaults
+     */
+    resolveOptions(options = {}) {
+        return {
+            outputWidth: options.outputWidth || this.outputWidth,
+            outputHeight: options.outputHeight || this.outputHeight,
+            fit: options.fit || this.fit,
+            align: options.align !== undefined ? options.align : this.align,
+            faceSize: options.faceSize || this.faceSize,
+            facePosition: options.facePosition || this.facePosition,
+            background: options.background || this.background,
+            backgroundColor: options.backgroundColor || this.backgroundColor,
+            backgroundBlur: options.backgroundBlur !== undefined ? options.backgroundBlur : this.backgroundBlur,
+            backgroundFeather: options.backgroundFeather !== undefined ? options.backgroundFeather : this.backgroundFeather
+        };
+    }
+
+    /**
+     * Natural pixel size of an image, video frame, canvas or bitmap
+     */
+    getSourceSize(img) {
+        return {
+            width: img.naturalWidth || img.videoWidth || img.width,
+            height: img.naturalHeight || img.videoHeight || img.height
+        };
+    }
+
+    /**
+     * Compute the affine transform that places a source image in the output frame
+     * @returns {Object} - Affine matrix { a, b, c, d, e, f } in the computeAffine() convention
+     */
+    getFitTransform(imgWidth, imgHeight, landmarks, settings) {
+        const W = settings.outputWidth;
+        const H = settings.outputHeight;
+
+        if (settings.align && landmarks && landmarks.length >= 48) {
+            return this.getAlignTransform(landmarks, settings);
+        }
+
+        if (settings.fit === 'letterbox') {
+            const scale = Math.min(W / imgWidth, H / imgHeight);
+            return this.scaleTransform(scale, scale, (W - imgWidth * scale) / 2, (H - imgHeight * scale) / 2);
+        }
+
+        if (settings.fit === 'crop') {
+            return this.getCropTransform(imgWidth, imgHeight, landmarks, W, H);
+        }
+
+        return this.scaleTransform(W / imgWidth, H / imgHeight, 0, 0);
+    }
+
+    /**
+     * Crop around the face so it fills a consistent share of the output, keeping the
+     * source aspect ratio and never exposing empty space beyond the image edges
+     */
+    getCropTransform(imgWidth, imgHeight, landmarks, W, H) {
+        const coverScale = Math.max(W / imgWidth, H / imgHeight);
+        let scale = coverScale;
+        let centerX = imgWidth / 2;
+        let centerY = imgHeight / 2;
+
+        if (landmarks && landmarks.length) {
+            const xs = landmarks.map(pt => pt.x);
+            const ys = landmarks.map(pt => pt.y);
+            const faceWidth = Math.max(...xs) - Math.min(...xs);
+            const faceHeight = Math.max(...ys) - Math.min(...ys);
+
+            // Landmarks stop at the brows, so shift up to leave room for the forehead
+            centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+            centerY = (Math.min(...ys) + Math.max(...ys)) / 2 - faceHeight * 0.15;
+
+            const faceFill = 0.6;
+            scale = Math.max(coverScale, Math.min(W * faceFill / faceWidth, H * faceFill / faceHeight));
+        }
+
+        // Keep the crop window inside the image
+        const offsetX = Math.min(0, Math.max(W - imgWidth * scale, W / 2 - centerX * scale));
+        const offsetY = Math.min(0, Math.max(H - imgHeight * scale, H / 2 - centerY * scale));
+
+        return this.scaleTransform(scale, scale, offsetX, offsetY);
+    }
+
+    /**
+     * Similarity transform (rotation, uniform scale, translation) that levels the eye line
+     * and places the eyes at the canonical size and position
+     */
+    getAlignTransform(landmarks, settings) {
+        const leftEye = this.centroid(landmarks.slice(36, 42));
+        const rightEye = this.centroid(landmarks.slice(42, 48));
+        const mid = { x: (leftEye.x + rightEye.x) / 2, y: (leftEye.y + rightEye.y) / 2 };
+
+        const dx = rightEye.x - leftEye.x;
+        const dy = rightEye.y - leftEye.y;
+        const eyeDistance = Math.hypot(dx, dy) || 1;
+
+        const scale = (settings.faceSize * settings.outputWidth) / eyeDistance;
+        const cos = scale * dx / eyeDistance;
+        const sin = scale * dy / eyeDistance;
+
+        const targetX = settings.facePosition.x * settings.outputWidth;
+        const targetY = settings.facePosition.y * settings.outputHeight;
+
+        // Rotate by -angle of the eye line around its midpoint, then move it to the target
+        const a = cos;
+        const b = sin;
+        const d = -sin;
+        const e = cos;
+
+        return {
+            a,
+            b,
+            c: targetX - (a * mid.x + b * mid.y),
+            d,
+            e,
+            f: targetY - (d * mid.x + e * mid.y)
+        };
+    }
+
+    centroid(points) {
+        const sum = points.reduce((acc, pt) => ({ x: acc.x + pt.x, y: acc.y + pt.y }), { x: 0, y: 0 });
+        return { x: sum.x / points.length, y: sum.y / points.length };
+    }
+
+    scaleTransform(scaleX, scaleY, offsetX, offsetY) {
+        return { a: scaleX, b: 0, c: offsetX, d: 0, e: scaleY, f: offsetY };
+    }
+
+    /**
+     * Pixel range of the output frame actually covered by the source image
+     */
+    getContentBounds(imgWidth, imgHeight, transform, settings) {
+        const corners = [
+            this.applyAffine(transform, 0, 0),
+            this.applyAffine(transform, imgWidth, 0),
+            this.applyAffine(transform, 0, imgHeight),
+            this.applyAffine(transform, imgWidth, imgHeight)
+        ];
+        const clamp = (v, max) => Math.max(0, Math.min(max, v));
+        const maxX = settings.outputWidth - 1;
+        const maxY = settings.outputHeight - 1;
+
+        const minX = clamp(Math.ceil(Math.min(...corners.map(p => p.x))), maxX);
+        const minY = clamp(Math.ceil(Math.min(...corners.map(p => p.y))), maxY);
+
+        return {
+            minX,
+            minY,
+            maxX: Math.max(minX, clamp(Math.floor(Math.max(...corners.map(p => p.x))) - 1, maxX)),
+            maxY: Math.max(minY, clamp(Math.floor(Math.max(...corners.map(p => p.y))) - 1, maxY))
+        };
+    }
+
+    /**
+     * Headless counterpart of FaceMorpher.prepareSource, for decoded pixels instead of an image
+     * @param {Object} imageData - Source pixels { width, height, data } (RGBA)
+     * @param {Array} landmarks - Facial landmarks in source pixel coordinates
+     * @param {Object} [options] - Per-call overrides of the constructor options
+     * @returns {{imageData: ImageData, points: Array, bounds: Object}} - Prepared source, reusable across ratios
+     */
+    prepareImageData(imageData, landmarks, options) {
+        const settings = this.resolveOptions(options);
+        const { width, height } = imageData;
+        const transform = this.getFitTransform(width, height, landmarks, settings);
+
+        return {
+            imageData: this.transformImageData(imageData, transform, settings.outputWidth, settings.outputHeight),
+            points: this.normalizeLandmarks(landmarks, transform),
+            bounds: this.getContentBounds(width, height, transform, settings)
+        };
+    }
+
+    /**
+     * Resample pixels through an affine transform into a new buffer, like drawImage with
+     * setTransform. Output pixels that map outside the source stay transparent.
+     */
+    transformImageData(imageData, transform, width, height) {
+        const output = this.createImageData(width, height);
+        const M = transform;
+        const det = M.a * M.e - M.b * M.d;
+        if (Math.abs(det) < 1e-12) return output;
+
+        // Inverse transform maps output pixel centers back into the source
+        const inverse = {
+            a: M.e / det,
+            b: -M.b / det,
+            c: (M.b * M.f - M.e * M.c) / det,
+            d: -M.d / det,
+            e: M.a / det,
+            f: (M.d * M.c - M.a * M.f) / det
+        };
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const src = this.applyAffine(inverse, x + 0.5, y + 0.5);
+                if (src.x < 0 || src.y < 0 || src.x >= imageData.width || src.y >= imageData.height) continue;
+
+                const color = this.sampleBilinear(imageData, src.x - 0.5, src.y - 0.5);
+                const idx = (y * width + x) * 4;
+                output.data[idx] = color.r;
+                output.data[idx + 1] = color.g;
+                output.data[idx + 2] = color.b;
+                output.data[idx + 3] = 255;
+            }
+        }
+
+        return output;
+    }
+
+    /**
+     * Mesh shared by both faces at a blend ratio
+     * @param {Array} points1 - Face 1 landmarks in the output frame
+     * @param {Array} points2 - Face 2 landmarks in the output frame
+     * @param {number|Object} ratio - Blend ratio, or { shape, texture, regions } (see morph)
+     * @returns {{points1: Array, points2: Array, points: Array, triangles: Array, textures: number[]}} - Both
+     *     faces' points and the interpolated points, each with the frame's boundary points appended, the
+     *     Delaunay triangles of the interpolated points as index triples, and the texture ratio of every point
+     */
+    getMorphGeometry(points1, points2, ratio, width, height) {
+        // Add corner and edge points for complete coverage
+        const extraPoints = this.getBoundaryPoints(width, height);
+        const allPts1 = [...points1, ...extraPoints];
+        const allPts2 = [...points2, ...extraPoints];
+        const { shape, texture } = this.getVertexRatios(ratio, allPts1.length, points1.length);
+
+        // Compute intermediate points based on the shape ratio
+        const avgPts = this.interpolatePoints(allPts1, allPts2, shape);
+
+        return {
+            points1: allPts1,
+            points2: allPts2,
+            points: avgPts,
+            triangles: this.computeDelaunay(avgPts),
+            textures: texture
+        };
+    }
+
+    /**
+     * Triangles of a morph mesh that warp badly: degenerate ones, where computeAffine() falls
+     * back to the identity, and flipped ones, which are mirrored in one of the faces
+     * @returns {{degenerate: number[], flipped: number[]}} - Indices into geometry.triangles
+     */
+    findBadTriangles(geometry) {
+        const degenerate = [];
+        const flipped = [];
+        const area = (pts, [i, j, k]) =>
+            (pts[i].x - pts[k].x) * (pts[j].y - pts[k].y) - (pts[j].x - pts[k].x) * (pts[i].y - pts[k].y);
+
+        geometry.triangles.forEach((tri, index) => {
+            const dst = area(geometry.points, tri);
+
+            if (Math.abs(dst) < AFFINE_EPSILON) {
+                degenerate.push(index);
+            } else if (Math.sign(area(geometry.points1, tri)) === -Math.sign(dst) ||
+                Math.sign(area(geometry.points2, tri)) === -Math.sign(dst)) {
+                flipped.push(index);
+            }
+        });
+
+        return { degenerate, flipped };
+    }
+
+    /**
+     * Morph two prepared sources together
+     * @param {Object} source1 - Prepared source for face 1 (see prepareSource)
+     * @param {Object} source2 - Prepared source for face 2, at the same output size
+     * @param {number|Object} ratio - Blend ratio, or { shape, texture, regions } (see morph)
+     * @param {Object} [options] - Per-call overrides of the constructor's background options
+     * @returns {ImageData} - Morphed face image data
+     */
+    morphSources(source1, source2, ratio, options) {
+        const settings = this.resolveOptions(options);
+        const imageData = this.renderMorph(source1, source2, ratio);
+
+        return this.applyBackground(imageData, source1, source2, ratio, settings);
+    }
+
+    /**
+     * Warp and cross-fade both sources over the whole frame, backgrounds included
+     */
+    renderMorph(source1, source2, ratio) {
+        const width = source1.imageData.width;
+        const height = source1.imageData.height;
+
+        const { points1: allPts1, points2: allPts2, points: avgPts, triangles, textures } =
+            this.getMorphGeometry(source1.points, source2.points, ratio, width, height);
+
+        // Create output image
+        const outputData = this.createImageData(width, height);
+
+        // Process each triangle
+        for (const tri of triangles) {
+            const [i, j, k] = tri;
+
+            // Get triangle vertices for each image and the average
+            const srcTri1 = [allPts1[i], allPts1[j], allPts1[k]];
+            const srcTri2 = [allPts2[i], allPts2[j], allPts2[k]];
+            const dstTri = [avgPts[i], avgPts[j], avgPts[k]];
+
+            // Warp and blend this triangle
+            this.warpTriangle(source1, srcTri1, source2, srcTri2, outputData, dstTri, [textures[i], textures[j], textures[k]]);
+        }
+
+        return outputData;
+    }
+
+    /**
+     * Replace the cross-faded background around the morphed face. The face is cut out along a
+     * feathered outline of the morphed jaw line and brows; 'transparent' turns that outline into alpha.
+     * @param {ImageData} imageData - Result of renderMorph(); changed in place
+     * @returns {ImageData} - imageData
+     */
+    applyBackground(imageData, source1, source2, ratio, settings) {
+        const mode = settings.background;
+        if (mode === 'blend') return imageData;
+
+        const { width, height, data } = imageData;
+        const count = source1.points.length;
+        const { shape } = this.getVertexRatios(ratio, count, count);
+        const hull = this.getFaceHull(this.interpolatePoints(source1.points, source2.points, shape));
+        const xs = hull.map(pt => pt.x);
+        const feather = Math.max(1, Math.round((Math.max(...xs) - Math.min(...xs)) * settings.backgroundFeather));
+        const mask = this.createFeatheredMask(hull, feather, width, height);
+
+        let background;
+        if (mode === 'face1' || mode === 'face2') {
+            // Warped to the morphed shape, so the photo's own face outline doesn't show around the result
+            const resolved = this.resolveRatio(ratio);
+            const texture = mode === 'face1' ? 0 : 1;
+            const regions = {};
+            Object.keys(resolved.regions).forEach(name => {
+                regions[name] = { shape: resolved.regions[name].shape, texture };
+            });
+            background = this.renderMorph(source1, source2, { shape: resolved.shape, texture, regions }).data;
+        } else if (mode === 'blur') {
+            background = this.blurPixels(data, width, height, Math.round(width * settings.backgroundBlur));
+        } else if (mode === 'solid') {
+            const { r, g, b } = this.parseColor(settings.backgroundColor);
+            background = new Uint8ClampedArray(data.length);
+            for (let i = 0; i < background.length; i += 4) {
+                background[i] = r;
+                background[i + 1] = g;
+                background[i + 2] = b;
+            }
+        } else if (mode !== 'transparent') {
+            throw new Error(`Unknown background "${mode}"`);
+        }
+
+        for (let i = 0; i < mask.length; i++) {
+            const alpha = mask[i];
+            const idx = i * 4;
+
+            if (!background) {
+                data[idx + 3] = alpha * 255;
+                continue;
+            }
+            data[idx] = data[idx] * alpha + background[idx] * (1 - alpha);
+            data[idx + 1] = data[idx + 1] * alpha + background[idx + 1] * (1 - alpha);
+            data[idx + 2] = data[idx + 2] * alpha + background[idx + 2] * (1 - alpha);
+        }
+
+        return imageData;
+    }
+
+    /**
+     * Blurred copy of RGBA pixels; three box blurs per channel approximate a gaussian
+     */
+    blurPixels(data, width, height, radius) {
+        const blurred = new Uint8ClampedArray(data.length);
+        const channel = new Float32Array(width * height);
+
+        for (let c = 0; c < 3; c++) {
+            for (let i = 0; i < channel.length; i++) channel[i] = data[i * 4 + c];
+            for (let pass = 0; pass < 3; pass++) {
+                this.boxBlur(channel, width, height, radius);
+            }
+            for (let i = 0; i < channel.length; i++) blurred[i * 4 + c] = channel[i];
+        }
+
+        return blurred;
+    }
+
+    /**
+     * { r, g, b } from a '#rgb' or '#rrggbb' color
+     */
+    parseColor(color) {
+        const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+        if (!match) {
+            throw new Error(`Invalid color "${color}", expected #rrggbb`);
+        }
+
+        const hex = match[1].length === 3 ? match[1].replace(/./g, '$&$&') : match[1];
+        const value = parseInt(hex, 16);
+        return { r: value >> 16, g: (value >> 8) & 255, b: value & 255 };
+    }
+
+    /**
+     * Split a blend ratio into its geometry (shape) and color (texture) parts, and resolve any
+     * per-region ratios the same way, falling back to the global parts
+     * @returns {{shape: number, texture: number, regions: Object}} - regions maps region names to { shape, texture }
+     */
+    resolveRatio(ratio) {
+        if (typeof ratio === 'number') {
+            return { shape: ratio, texture: ratio, regions: {} };
+        }
+
+        const shape = ratio.shape !== undefined ? ratio.shape : 0.5;
+        const texture = ratio.texture !== undefined ? ratio.texture : 0.5;
+        const regions = {};
+
+        Object.keys(ratio.regions || {}).forEach(name => {
+            if (!FACE_REGIONS[name]) {
+                throw new Error(`Unknown face region "${name}"`);
+            }
+
+            const region = ratio.regions[name];
+            regions[name] = typeof region === 'number'
+                ? { shape: region, texture: region }
+                : {
+                    shape: region.shape !== undefined ? region.shape : shape,
+                    texture: region.texture !== undefined ? region.texture : texture
+                };
+        });
+
+        return { shape, texture, regions };
+    }
+
+    /**
+     * Shape and texture ratio of every mesh point. Landmarks in a region of ratio.regions take
+     * that region's ratios; other points, such as custom control points and the frame boundary,
+     * take the global ones. Regions only apply to 68-point landmark sets.
+     * @param {number|Object} ratio - Blend ratio, or { shape, texture, regions }
+     * @param {number} count - Number of points
+     * @param {number} landmarkCount - How many of the points are landmarks
+     * @returns {{shape: number[], texture: number[]}}
+     */
+    getVertexRatios(ratio, count, landmarkCount) {
+        const { shape, texture, regions } = this.resolveRatio(ratio);
+        const shapes = new Array(count).fill(shape);
+        const textures = new Array(count).fill(texture);
+
+        if (landmarkCount >= 68) {
+            Object.keys(regions).forEach(name => {
+                const [first, last] = FACE_REGIONS[name];
+                for (let i = first; i <= last; i++) {
+                    shapes[i] = regions[name].shape;
+                    textures[i] = regions[name].texture;
+                }
+            });
+        }
+
+        return { shape: shapes, texture: textures };
+    }
+
+    /**
+     * Warp every prepared source to the weighted average shape and blend them
+     * @param {Object[]} sources - Prepared sources, all at the same output size
+     * @param {number[]} weights - Relative weight of each source
+     * @returns {ImageData} - Composite face image data
+     */
+    morphManySources(sources, weights) {
+        if (sources.length === 0) {
+            throw new Error('At least one face is required');
+        }
+        if (sources.some(source => source.points.length !== sources[0].points.length)) {
+            throw new Error('All faces must have the same number of landmarks');
+        }
+
+        const total = weights.reduce((sum, w) => sum + Math.max(0, w), 0);
+        const normalized = total > 0
+            ? weights.map(w => Math.max(0, w) / total)
+            : weights.map(() => 1 / weights.length);
+
+        const width = sources[0].imageData.width;
+        const height = sources[0].imageData.height;
+
+        // Add corner and edge points for complete coverage
+        const extraPoints = this.getBoundaryPoints(width, height);
+        const allPts = sources.map(source => [...source.points, ...extraPoints]);
+
+        // Average shape is the weighted mean of every landmark set
+        const avgPts = allPts[0].map((_, i) => ({
+            x: allPts.reduce((sum, pts, n) => sum + pts[i].x * normalized[n], 0),
+            y: allPts.reduce((sum, pts, n) => sum + pts[i].y * normalized[n], 0)
+        }));
+
+        const triangles = this.computeDelaunay(avgPts);
+        const outputData = this.createImageData(width, height);
+
+        for (const tri of triangles) {
+            const [i, j, k] = tri;
+            const srcTris = allPts.map(pts => [pts[i], pts[j], pts[k]]);
+            const dstTri = [avgPts[i], avgPts[j], avgPts[k]];
+
+            this.warpTriangleMany(sources, srcTris, normalized, outputData, dstTri);
+        }
+
+        return outputData;
+    }
+
+    /**
+     * Blank RGBA buffer; a plain { width, height, data } object where ImageData is missing (Node.js)
+     */
+    createImageData(width, height) {
+        if (typeof ImageData !== 'undefined') {
+            return new ImageData(width, height);
+        }
+        return { width, height, data: new Uint8ClampedArray(width * height * 4) };
+    }
+
+    /**
+     * Outline of the face: convex hull of the jaw line (0-16) and brows (17-26)
+     */
+    getFaceHull(landmarks) {
+        return this.convexHull(landmarks.slice(0, 27));
+    }
+
+    /**
+     * Convex hull using Andrew's monotone chain, counter-clockwise
+     */
+    convexHull(points) {
+        const sorted = [...points].sort((p, q) => p.x - q.x || p.y - q.y);
+        if (sorted.length < 3) return sorted;
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        const upper = [];
+
+        for (const pt of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], pt) <= 0) {
+                lower.pop();
+            }
+            lower.push(pt);
+        }
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const pt = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], pt) <= 0) {
+                upper.pop();
+            }
+            upper.push(pt);
+        }
+
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    }
+
+    /**
+     * Rasterize a convex polygon into a soft mask (0-1 per pixel). The edge fades over
+     * 2 * feather pixels and ends at the original outline, so nothing outside it bleeds in.
+     * @returns {Float32Array} - width * height mask values
+     */
+    createFeatheredMask(polygon, feather, width, height) {
+        const center = this.centroid(polygon);
+
+        // Pull every vertex in by the feather radius so the blur ramp ends at the outline
+        const shrunk = polygon.map(pt => {
+            const dx = pt.x - center.x;
+            const dy = pt.y - center.y;
+            const dist = Math.hypot(dx, dy) || 1;
+            const scale = Math.max(0, 1 - feather / dist);
+            return { x: center.x + dx * scale, y: center.y + dy * scale };
+        });
+
+        const mask = this.fillPolygon(shrunk, width, height);
+
+        // Three box blurs approximate a gaussian
+        const radius = Math.max(1, Math.round(feather / 3));
+        for (let pass = 0; pass < 3; pass++) {
+            this.boxBlur(mask, width, height, radius);
+        }
+
+        return mask;
+    }
+
+    /**
+     * Scanline fill of a polygon into a width * height buffer of 0s and 1s, sampled at pixel centers
+     */
+    fillPolygon(polygon, width, height) {
+        const mask = new Float32Array(width * height);
+
+        for (let y = 0; y < height; y++) {
+            const cy = y + 0.5;
+            const crossings = [];
+
+            for (let i = 0; i < polygon.length; i++) {
+                const p = polygon[i];
+                const q = polygon[(i + 1) % polygon.length];
+                if ((p.y <= cy) === (q.y <= cy)) continue;
+                crossings.push(p.x + (cy - p.y) / (q.y - p.y) * (q.x - p.x));
+            }
+            crossings.sort((a, b) => a - b);
+
+            for (let i = 0; i + 1 < crossings.length; i += 2) {
+                const start = Math.max(0, Math.ceil(crossings[i] - 0.5));
+                const end = Math.min(width - 1, Math.ceil(crossings[i + 1] - 0.5) - 1);
+                for (let x = start; x <= end; x++) mask[y * width + x] = 1;
+            }
+        }
+
+        return mask;
+    }
+
+    /**
+     * In-place separable box blur of a single-channel buffer, clamping at the edges
+     */
+    boxBlur(values, width, height, radius) {
+        const line = new Float32Array(Math.max(width, height));
+        const size = radius * 2 + 1;
+
+        const blurLine = (length, get, set) => {
+            for (let i = 0; i < length; i++) line[i] = get(i);
+
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) {
+                sum += line[Math.max(0, Math.min(length - 1, i))];
+            }
+            for (let i = 0; i < length; i++) {
+                set(i, sum / size);
+                sum += line[Math.min(length - 1, i + radius + 1)] - line[Math.max(0, i - radius)];
+            }
+        };
+
+        for (let y = 0; y < height; y++) {
+            const row = y * width;
+            blurLine(width, x => values[row + x], (x, v) => { values[row + x] = v; });
+        }
+        for (let x = 0; x < width; x++) {
+            blurLine(height, y => values[y * width + x], (y, v) => { values[y * width + x] = v; });
+        }
+    }
+
+    /**
+     * Transform landmarks from image pixels into the output frame
+     */
+    normalizeLandmarks(landmarks, transform) {
+        return landmarks.map(pt => this.applyAffine(transform, pt.x, pt.y));
+    }
+
+    /**
+     * Get boundary points (corners and edges) for complete face coverage
+     */
+    getBoundaryPoints(w = this.outputWidth, h = this.outputHeight) {
+        // Half a pixel outside the outermost pixel centers, so edge pixels are strictly inside the mesh
+        const left = -0.5;
+        const top = -0.5;
+        const right = w - 0.5;
+        const bottom = h - 0.5;
+
+        return [
+            { x: left, y: top },
+            { x: w / 2, y: top },
+            { x: right, y: top },
+            { x: right, y: h / 2 },
+            { x: right, y: bottom },
+            { x: w / 2, y: bottom },
+            { x: left, y: bottom },
+            { x: left, y: h / 2 }
+        ];
+    }
+
+    /**
+     * Interpolate between two sets of points, with one ratio for all of them or one per point
+     */
+    interpolatePoints(pts1, pts2, ratio) {
+        return pts1.map((pt, i) => {
+            const t = Array.isArray(ratio) ? ratio[i] : ratio;
+            return {
+                x: pt.x * (1 - t) + pts2[i].x * t,
+                y: pt.y * (1 - t) + pts2[i].y * t
+            };
+        });
+    }
+
+    /**
+     * Compute Delaunay triangulation using Bowyer-Watson algorithm.
+     * The super triangle's vertices are treated as points at infinity, so its size never
+     * cuts off hull triangles when boundary points are collinear.
+     */
+    computeDelaunay(points) {
+        const n = points.length;
+        if (n < 3) return [];
+
+        let triangles = [{ i: n, j: n + 1, k: n + 2 }];
+
+        // Add points one by one
+        for (let i = 0; i < n; i++) {
+            const pt = points[i];
+
+            // Find triangles whose circumcircle contains the point
+            const badTriangles = triangles.filter(tri => this.inSuperCircumcircle(pt, tri, points));
+            if (badTriangles.length === 0) continue;
+
+            // The cavity boundary is every edge used by exactly one bad triangle
+            const edgeCounts = new Map();
+            const edges = [];
+            for (const tri of badTriangles) {
+                for (const [a, b] of [[tri.i, tri.j], [tri.j, tri.k], [tri.k, tri.i]]) {
+                    const key = a < b ? a * (n + 3) + b : b * (n + 3) + a;
+                    edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+                    edges.push([a, b, key]);
+                }
+            }
+
+            // Remove bad triangles
+            const bad = new Set(badTriangles);
+            triangles = triangles.filter(t => !bad.has(t));
+
+            // Create new triangles from polygon edges to new point
+            for (const [a, b, key] of edges) {
+                if (edgeCounts.get(key) === 1) {
+                    triangles.push({ i: a, j: b, k: i });
+                }
+            }
+        }
+
+        // Remove triangles that contain super triangle vertices
+        triangles = triangles.filter(t => t.i < n && t.j < n && t.k < n);
+
+        return triangles.map(t => [t.i, t.j, t.k]);
+    }
+
+    /**
+     * Circumcircle test for a triangle that may use super triangle vertices (index >= n).
+     * Those sit infinitely far away in three fixed directions, where a circumcircle through
+     * them becomes a half-plane.
+     */
+    inSuperCircumcircle(p, tri, points) {
+        const n = points.length;
+        const indices = [tri.i, tri.j, tri.k];
+        const finite = indices.filter(idx => idx < n).map(idx => points[idx]);
+        const direction = idx => SUPER_DIRECTIONS[idx - n];
+
+        if (finite.length === 3) {
+            return this.inCircumcircle(p, finite[0], finite[1], finite[2]);
+        }
+        if (finite.length === 0) {
+            return true;
+        }
+
+        if (finite.length === 1) {
+            // Half-plane through the vertex, facing away from the missing super vertex
+            const missing = [n, n + 1, n + 2].find(idx => !indices.includes(idx));
+            const d = direction(missing);
+            return (p.x - finite[0].x) * d.x + (p.y - finite[0].y) * d.y < 0;
+        }
+
+        // Half-plane beyond the finite edge on the super vertex's side; points on the edge
+        // itself are inside, as they would be for any finite circle through both ends
+        const [a, b] = finite;
+        const d = direction(indices.find(idx => idx >= n));
+        const side = (b.x - a.x) * (p.y - a.y) - (b.y - a.y) * (p.x - a.x);
+        const superSide = (b.x - a.x) * d.y - (b.y - a.y) * d.x;
+
+        if (side !== 0) {
+            return side > 0 === superSide > 0;
+        }
+        const t = (p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y);
+        return t > 0 && t < (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+    }
+
+    /**
+     * Check if point is inside circumcircle of triangle
+     */
+    inCircumcircle(p, a, b, c) {
+        const ax = a.x - p.x;
+        const ay = a.y - p.y;
+        const bx = b.x - p.x;
+        const by = b.y - p.y;
+        const cx = c.x - p.x;
+        const cy = c.y - p.y;
+
+        const det = (ax * ax + ay * ay) * (bx * cy - cx * by) -
+                    (bx * bx + by * by) * (ax * cy - cx * ay) +
+                    (cx * cx + cy * cy) * (ax * by - bx * ay);
+
+        // Check triangle orientation
+        const orient = (a.x - c.x) * (b.y - c.y) - (a.y - c.y) * (b.x - c.x);
+
+        return orient > 0 ? det > 0 : det < 0;
+    }
+
+    /**
+     * Warp and blend a triangle from both prepared sources to destination. The texture ratio is
+     * either one number or one per vertex; per-vertex ratios are interpolated linearly across the
+     * triangle, so neighbouring triangles agree along their shared edge and no seams appear.
+     */
+    warpTriangle(source1, srcTri1, source2, srcTri2, outputData, dstTri, ratio) {
+        const width = outputData.width;
+
+        // Compute affine transforms from dst to each source
+        const M1 = this.computeAffine(dstTri, srcTri1);
+        const M2 = this.computeAffine(dstTri, srcTri2);
+        const R = Array.isArray(ratio) ? this.linearInterpolant(dstTri, ratio) : { a: 0, b: 0, c: ratio };
+
+        this.rasterizeTriangle(dstTri, width, outputData.height, (x, y) => {
+            // Transform to source coordinates
+            const src1 = this.applyAffine(M1, x, y);
+            const src2 = this.applyAffine(M2, x, y);
+
+            // Sample both source images with bilinear interpolation
+            const color1 = this.sampleBilinear(source1.imageData, src1.x, src1.y, source1.bounds);
+            const color2 = this.sampleBilinear(source2.imageData, src2.x, src2.y, source2.bounds);
+
+            // Blend colors
+            const t = R.a * x + R.b * y + R.c;
+            const idx = (y * width + x) * 4;
+            outputData.data[idx] = color1.r * (1 - t) + color2.r * t;
+            outputData.data[idx + 1] = color1.g * (1 - t) + color2.g * t;
+            outputData.data[idx + 2] = color1.b * (1 - t) + color2.b * t;
+            outputData.data[idx + 3] = 255;
+        });
+    }
+
+    /**
+     * Coefficients of the linear function a * x + b * y + c that takes the given value at each
+     * vertex of a triangle; a constant at the mean value if the triangle is degenerate
+     */
+    linearInterpolant(tri, values) {
+        const [p1, p2, p3] = tri;
+        const area = (p1.x - p3.x) * (p2.y - p3.y) - (p2.x - p3.x) * (p1.y - p3.y);
+        if (Math.abs(area) < AFFINE_EPSILON) {
+            return { a: 0, b: 0, c: (values[0] + values[1] + values[2]) / 3 };
+        }
+
+        const M = this.computeAffine(tri, values.map(value => ({ x: value, y: 0 })));
+        return { a: M.a, b: M.b, c: M.c };
+    }
+
+    /**
+     * Warp a triangle from every source to destination and blend with per-source weights
+     */
+    warpTriangleMany(sources, srcTris, weights, outputData, dstTri) {
+        const width = outputData.width;
+        const transforms = srcTris.map(srcTri => this.computeAffine(dstTri, srcTri));
+
+        this.rasterizeTriangle(dstTri, width, outputData.height, (x, y) => {
+            let r = 0;
+            let g = 0;
+            let b = 0;
+
+            for (let n = 0; n < sources.length; n++) {
+                if (weights[n] === 0) continue;
+
+                const src = this.applyAffine(transforms[n], x, y);
+                const color = this.sampleBilinear(sources[n].imageData, src.x, src.y, sources[n].bounds);
+                r += color.r * weights[n];
+                g += color.g * weights[n];
+                b += color.b * weights[n];
+            }
+
+            const idx = (y * width + x) * 4;
+            outputData.data[idx] = r;
+            outputData.data[idx + 1] = g;
+            outputData.data[idx + 2] = b;
+            outputData.data[idx + 3] = 255;
+        });
+    }
+
+    /**
+     * Call visit(x, y) for every pixel of a width x height frame inside a triangle.
+     * Edges are evaluated identically from both triangles that share them and pixels exactly
+     * on an edge go to one side only, so a triangulation covers each pixel exactly once.
+     */
+    rasterizeTriangle(tri, width, height, visit) {
+        const edges = [[tri[1], tri[2], tri[0]], [tri[2], tri[0], tri[1]], [tri[0], tri[1], tri[2]]].map(([p, q, opposite]) => {
+            // Always walk an edge in the same direction, whichever triangle it belongs to
+            const [a, b] = p.x < q.x || (p.x === q.x && p.y < q.y) ? [p, q] : [q, p];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const sign = Math.sign(dx * (opposite.y - a.y) - dy * (opposite.x - a.x));
+            return { a, dx, dy, sign };
+        });
+
+        // Degenerate triangles cover no pixels
+        if (edges.some(edge => edge.sign === 0)) return;
+
+        const minX = Math.max(0, Math.ceil(Math.min(tri[0].x, tri[1].x, tri[2].x)));
+        const maxX = Math.min(width - 1, Math.floor(Math.max(tri[0].x, tri[1].x, tri[2].x)));
+        const minY = Math.max(0, Math.ceil(Math.min(tri[0].y, tri[1].y, tri[2].y)));
+        const maxY = Math.min(height - 1, Math.floor(Math.max(tri[0].y, tri[1].y, tri[2].y)));
+
+        for (let y = minY; y <= maxY; y++) {
+            for (let x = minX; x <= maxX; x++) {
+                const inside = edges.every(({ a, dx, dy, sign }) => {
+                    const side = (dx * (y - a.y) - dy * (x - a.x)) * sign;
+                    return side > 0 || (side === 0 && sign > 0);
+                });
+                if (inside) visit(x, y);
+            }
+        }
+    }
+
+    /**
+     * Compute affine transformation matrix from src triangle to dst triangle
+     */
+    computeAffine(src, dst) {
+        const x1 = src[0].x, y1 = src[0].y;
+        const x2 = src[1].x, y2 = src[1].y;
+        const x3 = src[2].x, y3 = src[2].y;
+
+        const u1 = dst[0].x, v1 = dst[0].y;
+        const u2 = dst[1].x, v2 = dst[1].y;
+        const u3 = dst[2].x, v3 = dst[2].y;
+
+        const denom = (x1 - x3) * (y2 - y3) - (x2 - x3) * (y1 - y3);
+
+        if (Math.abs(denom) < AFFINE_EPSILON) {
+            return { a: 1, b: 0, c: 0, d: 0, e: 1, f: 0 };
+        }
+
+        const a = ((u1 - u3) * (y2 - y3) - (u2 - u3) * (y1 - y3)) / denom;
+        const b = ((u2 - u3) * (x1 - x3) - (u1 - u3) * (x2 - x3)) / denom;
+        const c = u3 - a * x3 - b * y3;
+
+        const d = ((v1 - v3) * (y2 - y3) - (v2 - v3) * (y1 - y3)) / denom;
+        const e = ((v2 - v3) * (x1 - x3) - (v1 - v3) * (x2 - x3)) / denom;
+        const f = v3 - d * x3 - e * y3;
+
+        return { a, b, c, d, e, f };
+    }
+
+    /**
+     * Apply affine transformation
+     */
+    applyAffine(M, x, y) {
+        return {
+            x: M.a * x + M.b * y + M.c,
+            y: M.d * x + M.e * y + M.f
+        };
+    }
+
+    /**
+     * Check if point is inside triangle using barycentric coordinates
+     */
+    pointInTriangle(p, tri) {
+        const v0 = { x: tri[2].x - tri[0].x, y: tri[2].y - tri[0].y };
+        const v1 = { x: tri[1].x - tri[0].x, y: tri[1].y - tri[0].y };
+        const v2 = { x: p.x - tri[0].x, y: p.y - tri[0].y };
+
+        const dot00 = v0.x * v0.x + v0.y * v0.y;
+        const dot01 = v0.x * v1.x + v0.y * v1.y;
+        const dot02 = v0.x * v2.x + v0.y * v2.y;
+        const dot11 = v1.x * v1.x + v1.y * v1.y;
+        const dot12 = v1.x * v2.x + v1.y * v2.y;
+
+        const inv = 1 / (dot00 * dot11 - dot01 * dot01);
+        const u = (dot11 * dot02 - dot01 * dot12) * inv;
+        const v = (dot00 * dot12 - dot01 * dot02) * inv;
+
+        return (u >= 0) && (v >= 0) && (u + v <= 1);
+    }
+
+    /**
+     * Bilinear interpolation sampling, clamped to the part of the frame covered by the source
+     */
+    sampleBilinear(imgData, x, y, bounds) {
+        const w = imgData.width;
+        const b = bounds || { minX: 0, minY: 0, maxX: w - 1, maxY: imgData.height - 1 };
+
+        // Clamp coordinates; on the last row or column both taps land on the edge pixel
+        x = Math.max(b.minX, Math.min(b.maxX, x));
+        y = Math.max(b.minY, Math.min(b.maxY, y));
+
+        const x0 = Math.floor(x);
+        const y0 = Math.floor(y);
+        const x1 = Math.min(x0 + 1, b.maxX);
+        const y1 = Math.min(y0 + 1, b.maxY);
+
+        const fx = x - x0;
+        const fy = y - y0;
+
+        const getPixel = (px, py) => {
+            const idx = (py * w + px) * 4;
+            return {
+                r: imgData.data[idx],
+                g: imgData.data[idx + 1],
+                b: imgData.data[idx + 2]
+            };
+        };
+
+        const p00 = getPixel(x0, y0);
+        const p10 = getPixel(x1, y0);
+        const p01 = getPixel(x0, y1);
+        const p11 = getPixel(x1, y1);
+
+        return {
+            r: (p00.r * (1 - fx) + p10.r * fx) * (1 - fy) + (p01.r * (1 - fx) + p11.r * fx) * fy,
+            g: (p00.g * (1 - fx) + p10.g * fx) * (1 - fy) + (p01.g * (1 - fx) + p11.g * fx) * fy,
+            b: (p00.b * (1 - fx) + p10.b * fx) * (1 - fy) + (p01.b * (1 - fx) + p11.b * fx) * fy
+        };
+    }
+}
+
+// Export for Node.js, or for face-morph.js in the page and worker
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MorphCore };
+} else {
+    self.MorphCore = MorphCore;
+}
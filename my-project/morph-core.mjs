@@ -0,0 +1,15 @@
+/**
+ * ES module entry point for MorphCore, for browsers, bundlers and Node.js
+ * import { MorphCore } from './morph-core.mjs';
+ *
+ * There is no package.json, so import it by path. morph-core.js stays a classic script:
+ * Node.js and bundlers load it as CommonJS and pass MorphCore through as a named export,
+ * while a browser runs it as a module that sets self.MorphCore.
+ */
+
+import * as core from './morph-core.js';
+
+const MorphCore = core.MorphCore || globalThis.MorphCore;
+
+export { MorphCore };
+export default MorphCore;
@@ -0,0 +1,271 @@
+/**
+ * Morph Diagnostics
+ * Debug overlays for the landmarks, the morph mesh and its degenerate or folded triangles,
+ * plus detector confidence and warnings about inputs that are likely to morph badly
+ */
+
+const LOW_CONFIDENCE = 0.5;
+const MAX_ROLL_DIFFERENCE = 20;
+const MAX_YAW_DIFFERENCE = 25;
+
+class MorphDiagnostics {
+    /**
+     * @param {Object} options
+     * @param {FaceMorpher} options.morpher - Used to rebuild the morph mesh
+     * @param {Object} options.previewOverlays - PreviewOverlay over each face preview, keyed 1 and 2
+     * @param {PreviewOverlay} options.resultOverlay - PreviewOverlay over the result canvas
+     * @param {HTMLElement} options.summaryEl - Panel heading, which shows the warning count
+     * @param {HTMLElement} options.infoEl - Confidence and mesh statistics
+     * @param {HTMLElement} options.warningsEl - List the warnings are rendered into
+     */
+    constructor(options) {
+        this.morpher = options.morpher;
+        this.previewOverlays = options.previewOverlays;
+        this.resultOverlay = options.resultOverlay;
+        this.summaryEl = options.summaryEl;
+        this.infoEl = options.infoEl;
+        this.warningsEl = options.warningsEl;
+
+        this.show = { landmarks: false, mesh: false, badTriangles: true };
+        this.faces = { 1: null, 2: null };
+        this.geometry = null;
+        this.badTriangles = null;
+        this.aligned = false;
+        this.visible = false;
+    }
+
+    setVisible(layer, visible) {
+        this.show[layer] = visible;
+        this.draw();
+    }
+
+    /**
+     * @param {Object} state
+     * @param {Object} state.faces - { landmarks, score, box } per slot 1 and 2, or null; score is
+     *     undefined when the landmarks did not come from the detector
+     * @param {Object} [state.geometry] - Morph mesh from getMorphGeometry(), when there is one
+     * @param {boolean} [state.aligned] - Faces are aligned to a common pose, so head tilt doesn't matter
+     * @param {boolean} [state.visible=true] - Draw the overlays; warnings are counted either way
+     */
+    update(state) {
+        this.faces = state.faces;
+        this.geometry = state.geometry || null;
+        this.badTriangles = this.geometry ? this.morpher.findBadTriangles(this.geometry) : null;
+        this.aligned = !!state.aligned;
+        this.visible = state.visible !== false;
+
+        this.render();
+        this.draw();
+    }
+
+    clear() {
+        this.update({ faces: { 1: null, 2: null } });
+    }
+
+    /**
+     * Mesh for a pair morph, rebuilt from the landmarks without rendering any pixels
+     */
+    getGeometry(img1, img2, landmarks1, landmarks2, ratio, options) {
+        const settings = this.morpher.resolveOptions(options);
+        const toFrame = (img, landmarks) => {
+            const { width, height } = this.morpher.getSourceSize(img);
+            const transform = this.morpher.getFitTransform(width, height, landmarks, settings);
+            return this.morpher.normalizeLandmarks(landmarks, transform);
+        };
+
+        return this.morpher.getMorphGeometry(
+            toFrame(img1, landmarks1),
+            toFrame(img2, landmarks2),
+            ratio,
+            settings.outputWidth,
+            settings.outputHeight
+        );
+    }
+
+    /**
+     * Rough head pose from 68-point landmarks, in degrees: roll from the eye line and yaw
+     * from where the nose tip sits between the two ends of the jaw line
+     */
+    static estimatePose(landmarks) {
+        const mean = pts => ({
+            x: pts.reduce((sum, pt) => sum + pt.x, 0) / pts.length,
+            y: pts.reduce((sum, pt) => sum + pt.y, 0) / pts.length
+        });
+        const leftEye = mean(landmarks.slice(36, 42));
+        const rightEye = mean(landmarks.slice(42, 48));
+        const roll = Math.atan2(rightEye.y - leftEye.y, rightEye.x - leftEye.x) * 180 / Math.PI;
+
+        const jawStart = landmarks[0];
+        const jawEnd = landmarks[16];
+        const nose = landmarks[30];
+        const jaw = { x: jawEnd.x - jawStart.x, y: jawEnd.y - jawStart.y };
+        const position = ((nose.x - jawStart.x) * jaw.x + (nose.y - jawStart.y) * jaw.y) /
+            (jaw.x * jaw.x + jaw.y * jaw.y || 1);
+        const yaw = Math.asin(Math.max(-1, Math.min(1, (position - 0.5) * 2))) * 180 / Math.PI;
+
+        return { roll, yaw };
+    }
+
+    getWarnings() {
+        const warnings = [];
+
+        [1, 2].forEach(slot => {
+            const face = this.faces[slot];
+            if (face && face.score !== undefined && face.score < LOW_CONFIDENCE) {
+                warnings.push(`Face ${slot} was detected with low confidence (${Math.round(face.score * 100)}%). ` +
+                    'Check its landmarks or use a clearer, front-facing photo.');
+            }
+        });
+
+        const face1 = this.faces[1];
+        const face2 = this.faces[2];
+        if (face1 && face2 && face1.landmarks.length >= 68 && face2.landmarks.length >= 68) {
+            const pose1 = MorphDiagnostics.estimatePose(face1.landmarks);
+            const pose2 = MorphDiagnostics.estimatePose(face2.landmarks);
+            const roll = Math.abs(((pose1.roll - pose2.roll + 540) % 360) - 180);
+            const yaw = Math.abs(pose1.yaw - pose2.yaw);
+
+            if (!this.aligned && roll > MAX_ROLL_DIFFERENCE) {
+                warnings.push(`The heads are tilted ${Math.round(roll)}° apart. Turn on "Align faces" or use photos with a similar tilt.`);
+            }
+            if (yaw > MAX_YAW_DIFFERENCE) {
+                warnings.push(`The heads are turned about ${Math.round(yaw)}° apart. Use photos where both faces look the same way.`);
+            }
+        }
+
+        if (this.badTriangles) {
+            const { degenerate, flipped } = this.badTriangles;
+            if (degenerate.length > 0) {
+                warnings.push(`${degenerate.length} mesh triangle(s) have no area, so they can't be warped. Check for landmarks on top of each other.`);
+            }
+            if (flipped.length > 0) {
+                warnings.push(`${flipped.length} mesh triangle(s) fold over in one of the faces, which smears the result. Check the highlighted landmarks.`);
+            }
+        }
+
+        return warnings;
+    }
+
+    render() {
+        const info = [];
+
+        [1, 2].forEach(slot => {
+            const face = this.faces[slot];
+            if (!face) return;
+            info.push(face.score !== undefined
+                ? `Face ${slot}: ${Math.round(face.score * 100)}% confidence`
+                : `Face ${slot}: no detector score`);
+        });
+
+        if (this.geometry) {
+            const { degenerate, flipped } = this.badTriangles;
+            info.push(`${this.geometry.triangles.length} triangles, ${degenerate.length} degenerate, ${flipped.length} folded`);
+        }
+
+        this.infoEl.textContent = info.join(' · ');
+
+        const warnings = this.getWarnings();
+        this.warningsEl.innerHTML = '';
+        for (const warning of warnings) {
+            const item = document.createElement('li');
+            item.textContent = warning;
+            this.warningsEl.appendChild(item);
+        }
+
+        this.summaryEl.textContent = warnings.length > 0
+            ? `Diagnostics (${warnings.length} warning${warnings.length > 1 ? 's' : ''})`
+            : 'Diagnostics';
+        this.summaryEl.classList.toggle('has-warnings', warnings.length > 0);
+    }
+
+    draw() {
+        [1, 2].forEach(slot => this.drawPreview(slot));
+        this.drawResult();
+    }
+
+    drawPreview(slot) {
+        const overlay = this.previewOverlays[slot];
+        const face = this.faces[slot];
+        overlay.resize();
+        if (!this.visible || !this.show.landmarks || !face || !overlay.image) return;
+
+        const ctx = overlay.ctx;
+        const low = face.score !== undefined && face.score < LOW_CONFIDENCE;
+        const color = low ? '#ffaa00' : '#7cff6b';
+
+        ctx.fillStyle = color;
+        for (const pt of face.landmarks) {
+            const p = overlay.toOverlay(pt);
+            ctx.beginPath();
+            ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        if (face.box && face.score !== undefined) {
+            const topLeft = overlay.toOverlay({ x: face.box.x, y: face.box.y });
+            const bottomRight = overlay.toOverlay({
+                x: face.box.x + face.box.width,
+                y: face.box.y + face.box.height
+            });
+
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 1.5;
+            ctx.strokeRect(topLeft.x, topLeft.y, bottomRight.x - topLeft.x, bottomRight.y - topLeft.y);
+            ctx.font = 'bold 12px sans-serif';
+            ctx.fillText(`${Math.round(face.score * 100)}%`, topLeft.x + 4, bottomRight.y - 6);
+        }
+    }
+
+    drawResult() {
+        const overlay = this.resultOverlay;
+        overlay.resize();
+        if (!this.visible || !this.geometry || !overlay.image) return;
+
+        const ctx = overlay.ctx;
+        const screen = this.geometry.points.map(pt => overlay.toOverlay(pt));
+        const triangles = this.geometry.triangles;
+        const path = ([i, j, k]) => {
+            ctx.moveTo(screen[i].x, screen[i].y);
+            ctx.lineTo(screen[j].x, screen[j].y);
+            ctx.lineTo(screen[k].x, screen[k].y);
+            ctx.closePath();
+        };
+
+        if (this.show.mesh) {
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+            ctx.lineWidth = 1;
+            ctx.beginPath();
+            triangles.forEach(path);
+            ctx.stroke();
+        }
+
+        if (this.show.badTriangles) {
+            const { degenerate, flipped } = this.badTriangles;
+            ctx.fillStyle = 'rgba(255, 60, 60, 0.45)';
+            ctx.strokeStyle = '#ff3c3c';
+            ctx.lineWidth = 2;
+
+            ctx.beginPath();
+            flipped.forEach(index => path(triangles[index]));
+            ctx.fill();
+
+            // Degenerate triangles have no area to fill, so outline them instead
+            ctx.beginPath();
+            [...degenerate, ...flipped].forEach(index => path(triangles[index]));
+            ctx.stroke();
+        }
+
+        if (this.show.landmarks) {
+            const count = this.geometry.points.length - this.morpher.getBoundaryPoints().length;
+            ctx.fillStyle = '#00d9ff';
+            screen.slice(0, count).forEach(p => {
+                ctx.beginPath();
+                ctx.arc(p.x, p.y, 2, 0, Math.PI * 2);
+                ctx.fill();
+            });
+        }
+    }
+}
+
+// Export for use in app.js
+window.MorphDiagnostics = MorphDiagnostics;
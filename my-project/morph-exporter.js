@@ -0,0 +1,187 @@
+/**
+ * Morph Animation Exporter
+ * Renders a morph sequence across a range of ratios and encodes it as GIF, WebM or a ZIP of PNG frames
+ */
+
+class MorphExporter {
+    constructor(morpher) {
+        this.morpher = morpher;
+    }
+
+    /**
+     * Build the list of blend ratios for an animation
+     * @param {Object} options
+     * @param {number} options.frameCount - Number of distinct frames from start to end
+     * @param {boolean} options.pingPong - Play back to the start after reaching the end
+     * @param {number} options.holdFrames - Extra frames to hold at each end of the sequence
+     * @param {number} [options.start=0] - Starting blend ratio
+     * @param {number} [options.end=1] - Ending blend ratio
+     * @returns {number[]} - Ratio for every output frame
+     */
+    static getRatioSequence({ frameCount, pingPong, holdFrames, start = 0, end = 1 }) {
+        const count = Math.max(2, Math.floor(frameCount));
+        const hold = Math.max(0, Math.floor(holdFrames));
+
+        const forward = [];
+        for (let i = 0; i < count; i++) {
+            forward.push(start + (end - start) * (i / (count - 1)));
+        }
+
+        const holdAt = (ratio) => new Array(hold).fill(ratio);
+
+        const sequence = [...holdAt(start), ...forward, ...holdAt(end)];
+
+        if (pingPong) {
+            // Skip the end points so they are not shown twice in a row when looping
+            sequence.push(...forward.slice(1, -1).reverse());
+        }
+
+        return sequence;
+    }
+
+    /**
+     * Render every frame of the sequence, reusing frames for repeated ratios
+     * @param {Object} faces - { img1, img2, landmarks1, landmarks2, options }
+     * @param {number[]} ratios - Ratio sequence from getRatioSequence()
+     * @param {Function} [onProgress] - Called with (renderedCount, totalCount)
+     * @returns {Promise<ImageData[]>}
+     */
+    async renderFrames(faces, ratios, onProgress) {
+        const cache = new Map();
+        const unique = new Set(ratios).size;
+
+        // Sources only depend on the faces, so prepare them once for every frame
+        const source1 = this.morpher.prepareSource(faces.img1, faces.landmarks1, faces.options);
+        const source2 = this.morpher.prepareSource(faces.img2, faces.landmarks2, faces.options);
+
+        for (const ratio of ratios) {
+            if (cache.has(ratio)) continue;
+
+            cache.set(ratio, this.morpher.morphSources(source1, source2, ratio, faces.options));
+
+            if (onProgress) onProgress(cache.size, unique);
+
+            // Yield so the page can repaint progress between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return ratios.map(ratio => cache.get(ratio));
+    }
+
+    /**
+     * Encode frames as an animated GIF
+     * @param {ImageData[]} frames
+     * @param {number} fps
+     * @returns {Promise<Blob>}
+     */
+    async exportGif(frames, fps) {
+        const { width, height } = frames[0];
+        const encoder = new GifEncoder(width, height);
+        const delay = 1000 / fps;
+
+        // Collapse runs of the same frame (hold frames) into one longer frame
+        let i = 0;
+        while (i < frames.length) {
+            let run = 1;
+            while (i + run < frames.length && frames[i + run] === frames[i]) run++;
+
+            encoder.addFrame(frames[i], delay * run);
+            i += run;
+
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return encoder.finish();
+    }
+
+    /**
+     * Encode frames as a WebM video using MediaRecorder
+     * @param {ImageData[]} frames
+     * @param {number} fps
+     * @returns {Promise<Blob>}
+     */
+    async exportWebm(frames, fps) {
+        if (!MorphExporter.isWebmSupported()) {
+            throw new Error('WebM export is not supported in this browser.');
+        }
+
+        const { width, height } = frames[0];
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        ctx.putImageData(frames[0], 0, 0);
+
+        const stream = canvas.captureStream(0);
+        const track = stream.getVideoTracks()[0];
+        const mimeType = MorphExporter.getWebmMimeType();
+        const recorder = new MediaRecorder(stream, { mimeType });
+        const chunks = [];
+
+        recorder.ondataavailable = (e) => {
+            if (e.data && e.data.size > 0) chunks.push(e.data);
+        };
+
+        const stopped = new Promise((resolve, reject) => {
+            recorder.onstop = resolve;
+            recorder.onerror = (e) => reject(e.error || new Error('Recording failed.'));
+        });
+
+        recorder.start();
+
+        // MediaRecorder timestamps frames in real time, so pace them at the target fps
+        const frameDuration = 1000 / fps;
+        for (const frame of frames) {
+            ctx.putImageData(frame, 0, 0);
+            if (track.requestFrame) track.requestFrame();
+            await new Promise(resolve => setTimeout(resolve, frameDuration));
+        }
+
+        recorder.stop();
+        await stopped;
+        track.stop();
+
+        return new Blob(chunks, { type: 'video/webm' });
+    }
+
+    /**
+     * Pack frames as numbered PNG files in a ZIP archive, e.g. for a video editor
+     * @param {ImageData[]} frames
+     * @param {Function} [onProgress] - Called with (encodedCount, totalCount)
+     * @returns {Promise<Blob>}
+     */
+    async exportFrameSequence(frames, onProgress) {
+        const { width, height } = frames[0];
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+
+        const zip = new ZipWriter();
+        const digits = Math.max(4, String(frames.length).length);
+
+        for (let i = 0; i < frames.length; i++) {
+            ctx.putImageData(frames[i], 0, 0);
+            const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+            zip.addFile(`frame-${String(i + 1).padStart(digits, '0')}.png`, new Uint8Array(await png.arrayBuffer()));
+
+            if (onProgress) onProgress(i + 1, frames.length);
+        }
+
+        return zip.finish();
+    }
+
+    static isWebmSupported() {
+        return typeof MediaRecorder !== 'undefined' &&
+            typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MorphExporter.getWebmMimeType() !== null;
+    }
+
+    static getWebmMimeType() {
+        const types = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+        return types.find(type => MediaRecorder.isTypeSupported(type)) || null;
+    }
+}
+
+// Export for use in app.js
+window.MorphExporter = MorphExporter;
@@ -0,0 +1,126 @@
+/**
+ * Morph Timeline
+ * Plays a morph through an ordered list of keyframe faces, A → B → C → ...
+ * Each keyframe carries the duration and easing of the segment that leads to the next one;
+ * the last keyframe's are unused.
+ */
+
+const EASINGS = {
+    linear: { label: 'Linear', ease: t => t },
+    easeIn: { label: 'Ease in', ease: t => t * t },
+    easeOut: { label: 'Ease out', ease: t => 1 - (1 - t) * (1 - t) },
+    easeInOut: { label: 'Ease in-out', ease: t => (t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t)) }
+};
+
+// Every frame is held in memory until it is encoded
+const MAX_TIMELINE_FRAMES = 300;
+
+class MorphTimeline {
+    constructor(morpher) {
+        this.morpher = morpher;
+    }
+
+    /**
+     * Easing curves as { id, label } for menus
+     */
+    static getEasings() {
+        return Object.keys(EASINGS).map(id => ({ id, label: EASINGS[id].label }));
+    }
+
+    /**
+     * Total length in seconds
+     * @param {Array} keyframes - { duration, easing } per keyframe, in order
+     */
+    static getDuration(keyframes) {
+        return keyframes.slice(0, -1).reduce((sum, keyframe) => sum + keyframe.duration, 0);
+    }
+
+    /**
+     * Segment playing at a time and the eased blend ratio within it
+     * @returns {{index: number, ratio: number}} - Blend ratio from keyframes[index] to keyframes[index + 1]
+     */
+    static locate(keyframes, time) {
+        let index = 0;
+        let start = 0;
+        while (index < keyframes.length - 2 && time >= start + keyframes[index].duration) {
+            start += keyframes[index].duration;
+            index++;
+        }
+
+        const { duration, easing } = keyframes[index];
+        const progress = duration > 0 ? Math.max(0, Math.min(1, (time - start) / duration)) : 1;
+        const ease = (EASINGS[easing] || EASINGS.linear).ease;
+
+        return { index, ratio: ease(progress) };
+    }
+
+    /**
+     * Time of every output frame, including the final keyframe
+     */
+    static getFrameTimes(keyframes, fps) {
+        const duration = MorphTimeline.getDuration(keyframes);
+        const count = Math.round(duration * fps) + 1;
+
+        return Array.from({ length: count }, (_, i) => Math.min(duration, i / fps));
+    }
+
+    /**
+     * Prepared source of a keyframe, cached on it until its source is cleared
+     */
+    getSource(keyframe, options) {
+        if (!keyframe.source) {
+            keyframe.source = this.morpher.prepareSource(keyframe.image, keyframe.landmarks, options);
+        }
+        return keyframe.source;
+    }
+
+    /**
+     * Render the frame at a point in time. Matches FaceMorpher.morph() for the segment's two faces,
+     * but each face is only fitted into the output frame once.
+     * @param {Array} keyframes - { image, landmarks, duration, easing, source } per keyframe, at least two
+     * @param {number} time - Seconds from the start
+     * @param {Object} [options] - Output size, framing, alignment and background
+     * @returns {ImageData}
+     */
+    renderFrame(keyframes, time, options) {
+        const { index, ratio } = MorphTimeline.locate(keyframes, time);
+
+        return this.morpher.morphSources(
+            this.getSource(keyframes[index], options),
+            this.getSource(keyframes[index + 1], options),
+            ratio,
+            options
+        );
+    }
+
+    /**
+     * Render the whole timeline for export
+     * @param {Array} keyframes - As for renderFrame()
+     * @param {number} fps
+     * @param {Object} [options] - Output size, framing, alignment and background
+     * @param {Function} [onProgress] - Called with (renderedCount, totalCount)
+     * @returns {Promise<ImageData[]>}
+     */
+    async renderFrames(keyframes, fps, options, onProgress) {
+        const times = MorphTimeline.getFrameTimes(keyframes, fps);
+        if (times.length > MAX_TIMELINE_FRAMES) {
+            throw new Error(`The timeline needs ${times.length} frames at ${fps} FPS; ` +
+                `shorten it or lower the FPS to stay under ${MAX_TIMELINE_FRAMES}.`);
+        }
+
+        const frames = [];
+        for (const time of times) {
+            frames.push(this.renderFrame(keyframes, time, options));
+
+            if (onProgress) onProgress(frames.length, times.length);
+
+            // Yield so the page can repaint progress between frames
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        return frames;
+    }
+}
+
+// Export for use in app.js
+window.MorphTimeline = MorphTimeline;
@@ -0,0 +1,59 @@
+/**
+ * Face Morph Worker
+ * Renders morph frames off the main thread. The source images and landmarks are
+ * sent once with an 'init' message, then each 'render' message only carries a ratio.
+ */
+
+importScripts('morph-core.js', 'face-morph.js');
+
+let morpher = new FaceMorpher();
+let source1 = null;
+let source2 = null;
+let version = 0;
+
+self.onmessage = (e) => {
+    const message = e.data;
+
+    try {
+        if (message.type === 'init') {
+            init(message);
+        } else if (message.type === 'render') {
+            render(message);
+        }
+    } catch (error) {
+        if (message.type === 'init') {
+            // Renders would keep using the last faces, so the page has to hear about it
+            self.postMessage({ type: 'init-error', version: message.version, message: error.message });
+        } else {
+            self.postMessage({ type: 'error', id: message.id, message: error.message });
+        }
+    }
+};
+
+function init({ version: sourceVersion, bitmap1, bitmap2, landmarks1, landmarks2, options }) {
+    // Bitmaps are made asynchronously, so faces from an older call can arrive after newer ones
+    if (sourceVersion < version) {
+        bitmap1.close();
+        bitmap2.close();
+        return;
+    }
+
+    try {
+        morpher = new FaceMorpher(options);
+        source1 = morpher.prepareSource(bitmap1, landmarks1);
+        source2 = morpher.prepareSource(bitmap2, landmarks2);
+    } finally {
+        bitmap1.close();
+        bitmap2.close();
+    }
+    version = sourceVersion;
+}
+
+function render({ id, ratio }) {
+    if (!source1 || !source2) {
+        throw new Error('Morph sources have not been initialized');
+    }
+
+    const imageData = morpher.morphSources(source1, source2, ratio);
+    self.postMessage({ type: 'frame', id, version, imageData }, [imageData.data.buffer]);
+}
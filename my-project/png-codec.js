@@ -0,0 +1,191 @@
+/**
+ * PNG Codec
+ * Minimal PNG reader and writer for the command-line tool, built on Node's zlib.
+ * Reads 8-bit, non-interlaced grayscale, RGB, palette and alpha images; writes RGBA.
+ */
+
+const zlib = require('zlib');
+
+const PNG_SIGNATURE = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+function crc32(buffer) {
+    let crc = -1;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Decode a PNG file into RGBA pixels
+ * @param {Buffer} buffer - File contents
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}}
+ */
+function decodePng(buffer) {
+    if (buffer.length < 8 || !buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+        throw new Error('Not a PNG file. Convert the image to PNG first.');
+    }
+
+    let header = null;
+    let palette = null;
+    let transparency = null;
+    const chunks = [];
+
+    for (let offset = 8; offset + 8 <= buffer.length;) {
+        const length = buffer.readUInt32BE(offset);
+        const type = buffer.toString('latin1', offset + 4, offset + 8);
+        const body = buffer.subarray(offset + 8, offset + 8 + length);
+        offset += length + 12;
+
+        if (type === 'IHDR') {
+            header = {
+                width: body.readUInt32BE(0),
+                height: body.readUInt32BE(4),
+                bitDepth: body[8],
+                colorType: body[9],
+                interlace: body[12]
+            };
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            transparency = body;
+        } else if (type === 'IDAT') {
+            chunks.push(body);
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!header) {
+        throw new Error('PNG file has no header');
+    }
+    if (header.bitDepth !== 8 || !(header.colorType in CHANNELS)) {
+        throw new Error(`Unsupported PNG format (bit depth ${header.bitDepth}, color type ${header.colorType})`);
+    }
+    if (header.interlace) {
+        throw new Error('Interlaced PNG files are not supported');
+    }
+
+    const { width, height, colorType } = header;
+    const channels = CHANNELS[colorType];
+    const stride = width * channels;
+    const raw = zlib.inflateSync(Buffer.concat(chunks));
+    const pixels = unfilter(raw, stride, height, channels);
+    const data = new Uint8ClampedArray(width * height * 4);
+
+    for (let i = 0; i < width * height; i++) {
+        const src = i * channels;
+        const dst = i * 4;
+
+        if (colorType === 3) {
+            const index = pixels[src];
+            data[dst] = palette[index * 3];
+            data[dst + 1] = palette[index * 3 + 1];
+            data[dst + 2] = palette[index * 3 + 2];
+            data[dst + 3] = transparency && index < transparency.length ? transparency[index] : 255;
+        } else if (channels <= 2) {
+            data[dst] = data[dst + 1] = data[dst + 2] = pixels[src];
+            data[dst + 3] = channels === 2 ? pixels[src + 1] : 255;
+        } else {
+            data[dst] = pixels[src];
+            data[dst + 1] = pixels[src + 1];
+            data[dst + 2] = pixels[src + 2];
+            data[dst + 3] = channels === 4 ? pixels[src + 3] : 255;
+        }
+    }
+
+    return { width, height, data };
+}
+
+/**
+ * Reverse the per-scanline PNG filters
+ */
+function unfilter(raw, stride, height, bpp) {
+    const out = Buffer.alloc(stride * height);
+
+    for (let y = 0; y < height; y++) {
+        const filter = raw[y * (stride + 1)];
+        const line = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1));
+        const row = y * stride;
+
+        for (let x = 0; x < stride; x++) {
+            const left = x >= bpp ? out[row + x - bpp] : 0;
+            const up = y > 0 ? out[row - stride + x] : 0;
+            const upLeft = y > 0 && x >= bpp ? out[row - stride + x - bpp] : 0;
+            let value = line[x];
+
+            if (filter === 1) {
+                value += left;
+            } else if (filter === 2) {
+                value += up;
+            } else if (filter === 3) {
+                value += (left + up) >> 1;
+            } else if (filter === 4) {
+                value += paeth(left, up, upLeft);
+            }
+            out[row + x] = value & 0xff;
+        }
+    }
+
+    return out;
+}
+
+function paeth(a, b, c) {
+    const p = a + b - c;
+    const pa = Math.abs(p - a);
+    const pb = Math.abs(p - b);
+    const pc = Math.abs(p - c);
+    if (pa <= pb && pa <= pc) return a;
+    return pb <= pc ? b : c;
+}
+
+/**
+ * Encode RGBA pixels as a PNG file
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData
+ * @returns {Buffer} - File contents
+ */
+function encodePng(imageData) {
+    const { width, height, data } = imageData;
+    const stride = width * 4;
+    const raw = Buffer.alloc((stride + 1) * height);
+
+    // Filter type 0 (none) on every line; zlib does the real work
+    for (let y = 0; y < height; y++) {
+        Buffer.from(data.buffer, data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+    }
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(raw)),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+function chunk(type, body) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(body.length);
+
+    const typeAndBody = Buffer.concat([Buffer.from(type, 'latin1'), body]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(typeAndBody));
+
+    return Buffer.concat([length, typeAndBody, crc]);
+}
+
+module.exports = { decodePng, encodePng };
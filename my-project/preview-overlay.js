@@ -0,0 +1,102 @@
+/**
+ * Preview Overlay
+ * Canvas layered over an upload box preview, with coordinate mapping between the
+ * source image and the preview (which is drawn with object-fit: cover)
+ */
+
+class PreviewOverlay {
+    /**
+     * @param {HTMLElement} container - Upload box holding the preview image
+     * @param {string} [className] - Extra class for styling this overlay
+     */
+    constructor(container, className) {
+        this.container = container;
+        this.image = null;
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'preview-overlay' + (className ? ' ' + className : '');
+        this.container.appendChild(this.canvas);
+        this.ctx = this.canvas.getContext('2d');
+
+        // Clicks on an interactive overlay must not open the file picker underneath
+        this.canvas.addEventListener('click', (e) => {
+            if (this.isInteractive()) e.stopPropagation();
+        });
+
+        this.setInteractive(false);
+    }
+
+    setImage(image) {
+        this.image = image;
+    }
+
+    setInteractive(interactive) {
+        this.canvas.classList.toggle('interactive', interactive);
+    }
+
+    isInteractive() {
+        return this.canvas.classList.contains('interactive');
+    }
+
+    /**
+     * Match the canvas backing store to the container size and clear it
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.container.clientWidth;
+        const height = this.container.clientHeight;
+
+        this.canvas.width = Math.round(width * ratio);
+        this.canvas.height = Math.round(height * ratio);
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        this.ctx.clearRect(0, 0, width, height);
+    }
+
+    clear() {
+        this.ctx.clearRect(0, 0, this.container.clientWidth, this.container.clientHeight);
+    }
+
+    /**
+     * Scale and offset of the image inside the box (object-fit: cover)
+     */
+    getTransform() {
+        const boxWidth = this.container.clientWidth;
+        const boxHeight = this.container.clientHeight;
+        const imgWidth = this.image.naturalWidth || this.image.videoWidth || this.image.width;
+        const imgHeight = this.image.naturalHeight || this.image.videoHeight || this.image.height;
+        const scale = Math.max(boxWidth / imgWidth, boxHeight / imgHeight);
+
+        return {
+            scale,
+            offsetX: (boxWidth - imgWidth * scale) / 2,
+            offsetY: (boxHeight - imgHeight * scale) / 2
+        };
+    }
+
+    /**
+     * Image pixel coordinates to overlay (CSS pixel) coordinates
+     */
+    toOverlay(pt) {
+        const t = this.getTransform();
+        return { x: pt.x * t.scale + t.offsetX, y: pt.y * t.scale + t.offsetY };
+    }
+
+    /**
+     * Overlay (CSS pixel) coordinates to image pixel coordinates
+     */
+    toImage(pt) {
+        const t = this.getTransform();
+        return { x: (pt.x - t.offsetX) / t.scale, y: (pt.y - t.offsetY) / t.scale };
+    }
+
+    /**
+     * Pointer event position in overlay coordinates
+     */
+    eventPoint(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+}
+
+// Export for use in app.js
+window.PreviewOverlay = PreviewOverlay;
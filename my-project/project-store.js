@@ -0,0 +1,138 @@
+/**
+ * Project Store
+ * Serializes Face Merge projects to JSON files and autosaves the current one in IndexedDB.
+ * A project looks like:
+ *   {
+ *     format: 'face-merge-project', version: 1, mode: 'pair' | 'swap' | 'average' | 'timeline',
+ *     faces: { 1: face | null, 2: face | null },
+ *     average: [{ name, image, landmarks, weight }],
+ *     timeline: [{ name, image, landmarks, duration, easing }],
+ *     settings: { shape, texture, feather, colorMatch, outputSize, fit, align, alignSize, alignX, alignY,
+ *         regionBlend, regions: { jaw: { shape, texture }, ... }, background, backgroundColor }
+ *   }
+ * where face is { image, landmarks, detections: [{ box, score, landmarks }], selected } and
+ * image is an embedded data URL or a URL to load the photo from.
+ */
+
+const PROJECT_FORMAT = 'face-merge-project';
+const PROJECT_VERSION = 1;
+const AUTOSAVE_KEY = 'autosave';
+
+class ProjectStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.dbName='face-merge'] - IndexedDB database name
+     * @param {string} [options.storeName='projects'] - Object store holding saved projects
+     */
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'face-merge';
+        this.storeName = options.storeName || 'projects';
+        this.db = null;
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Project as a JSON file body
+     */
+    static serialize(project) {
+        return JSON.stringify({ format: PROJECT_FORMAT, version: PROJECT_VERSION, ...project });
+    }
+
+    /**
+     * Read and validate a project file
+     * @throws {Error} - With a user-facing message when the file is not a usable project
+     */
+    static parse(text) {
+        let project;
+        try {
+            project = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        if (!project || project.format !== PROJECT_FORMAT) {
+            throw new Error('The file is not a Face Merge project.');
+        }
+        if (project.version > PROJECT_VERSION) {
+            throw new Error('The project was saved by a newer version of Face Merge.');
+        }
+
+        const isPoints = pts => Array.isArray(pts) &&
+            pts.every(pt => pt && Number.isFinite(pt.x) && Number.isFinite(pt.y));
+
+        const faces = project.faces || {};
+        for (const slot of [1, 2]) {
+            const face = faces[slot];
+            if (face && (typeof face.image !== 'string' || !isPoints(face.landmarks))) {
+                throw new Error(`Face ${slot} in the project is missing its image or landmarks.`);
+            }
+        }
+        for (const [key, list] of [['average', 'average list'], ['timeline', 'timeline']]) {
+            for (const entry of project[key] || []) {
+                if (typeof entry.image !== 'string' || (entry.landmarks && !isPoints(entry.landmarks))) {
+                    throw new Error(`A face in the ${list} is missing its image or landmarks.`);
+                }
+            }
+        }
+
+        return {
+            mode: project.mode || 'pair',
+            faces: { 1: faces[1] || null, 2: faces[2] || null },
+            average: project.average || [],
+            timeline: project.timeline || [],
+            settings: project.settings || {}
+        };
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => request.result.createObjectStore(this.storeName);
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run one request against the object store and resolve with its result
+     */
+    async request(mode, run) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = run(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            // A transaction that fails as a whole, e.g. on QuotaExceededError, only aborts
+            transaction.onabort = () => reject(transaction.error || new Error('The storage transaction was aborted'));
+        });
+    }
+
+    saveAutosave(project) {
+        return this.request('readwrite', store => store.put(ProjectStore.serialize(project), AUTOSAVE_KEY));
+    }
+
+    /**
+     * @returns {Promise<Object|null>} - Last autosaved project, or null when there is none
+     */
+    async loadAutosave() {
+        const text = await this.request('readonly', store => store.get(AUTOSAVE_KEY));
+        return text ? ProjectStore.parse(text) : null;
+    }
+
+    clearAutosave() {
+        return this.request('readwrite', store => store.delete(AUTOSAVE_KEY));
+    }
+}
+
+// Export for use in app.js
+window.ProjectStore = ProjectStore;
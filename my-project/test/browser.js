@@ -0,0 +1,58 @@
+/**
+ * Runs a test page in headless Chrome for the node tests. A page reports through
+ * <pre id="report" data-status="...">: pass, fail or skip, with details as its text.
+ * Tests are skipped when no Chrome is found; point CHROME_BIN at one to run them.
+ */
+
+const assert = require('node:assert');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { spawnSync } = require('child_process');
+
+const CHROME_NAMES = ['chromium', 'chromium-browser', 'google-chrome', 'google-chrome-stable'];
+
+function findChrome() {
+    const candidates = process.env.CHROME_BIN ? [process.env.CHROME_BIN] : CHROME_NAMES;
+    return candidates.find(bin => spawnSync(bin, ['--version'], { stdio: 'ignore' }).status === 0) || null;
+}
+
+/**
+ * Load a page from this folder and fail the test unless it reports pass
+ * @param {Object} t - node:test context
+ * @param {string} file - Page file name
+ * @param {number} [budget=0] - Milliseconds of virtual time to let an asynchronous page run before reading it
+ */
+function runPage(t, file, budget = 0) {
+    const chrome = findChrome();
+    if (!chrome) {
+        t.skip('no Chrome found; set CHROME_BIN to run it');
+        return;
+    }
+
+    const args = [
+        '--headless',
+        // Software WebGL, so results do not depend on the machine's GPU
+        '--use-angle=swiftshader',
+        '--enable-unsafe-swiftshader',
+        '--autoplay-policy=no-user-gesture-required',
+        '--dump-dom',
+        pathToFileURL(path.join(__dirname, file)).href
+    ];
+    if (budget > 0) args.unshift(`--virtual-time-budget=${budget}`);
+    if (process.getuid && process.getuid() === 0) args.unshift('--no-sandbox');
+
+    const result = spawnSync(chrome, args, { encoding: 'utf8', timeout: 120000 });
+    assert.strictEqual(result.status, 0, `Chrome failed: ${result.stderr}`);
+
+    const match = result.stdout.match(/<pre id="report" data-status="(\w+)">([^<]*)<\/pre>/);
+    assert.ok(match, `${file} did not report a result`);
+
+    const [, status, report] = match;
+    if (status === 'skip') {
+        t.skip(report);
+        return;
+    }
+    assert.strictEqual(status, 'pass', report);
+}
+
+module.exports = { runPage };
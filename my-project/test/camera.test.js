@@ -0,0 +1,11 @@
+/**
+ * Camera mode on a fake media stream: camera.html injects a canvas stream as getUserMedia
+ * and checks that live frames morph and keep the custom control points
+ */
+
+const test = require('node:test');
+const { runPage } = require('./browser.js');
+
+test('camera mode works on a fake media stream', (t) => {
+    runPage(t, 'camera.html', 20000);
+});
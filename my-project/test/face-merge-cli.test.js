@@ -0,0 +1,91 @@
+/**
+ * face-merge-cli.js tests: landmark files and a --detector module built on
+ * FixtureLandmarkProvider, as in the example in the CLI's header
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync, spawnSync } = require('child_process');
+const { decodePng, encodePng } = require('../png-codec.js');
+const { createFacePair } = require('./synthetic-face.js');
+
+const CLI = path.join(__dirname, '..', 'face-merge-cli.js');
+
+function setUp(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'face-merge-cli-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const faces = createFacePair();
+    faces.forEach((face, i) => {
+        fs.writeFileSync(path.join(dir, `face${i + 1}.png`), encodePng(face.imageData));
+        fs.writeFileSync(path.join(dir, `face${i + 1}.json`), JSON.stringify(face.landmarks));
+    });
+
+    return { dir, faces };
+}
+
+function run(dir, args) {
+    return execFileSync(process.execPath, [CLI, ...args], { cwd: dir, encoding: 'utf8' });
+}
+
+test('morphs with landmark files', (t) => {
+    const { dir } = setUp(t);
+    run(dir, [
+        '--image1', 'face1.png', '--image2', 'face2.png',
+        '--landmarks1', 'face1.json', '--landmarks2', 'face2.json',
+        '--frames', '3', '--size', '60x80', '--out', 'out/frame-{index}.png'
+    ]);
+
+    const files = fs.readdirSync(path.join(dir, 'out')).sort();
+    assert.deepStrictEqual(files, ['frame-0.png', 'frame-1.png', 'frame-2.png']);
+    const frame = decodePng(fs.readFileSync(path.join(dir, 'out', 'frame-1.png')));
+    assert.strictEqual(frame.width, 60);
+    assert.strictEqual(frame.height, 80);
+});
+
+test('morphs with a --detector module', (t) => {
+    const { dir, faces } = setUp(t);
+    const providers = JSON.stringify(path.join(__dirname, '..', 'landmark-providers.js'));
+    fs.writeFileSync(path.join(dir, 'detector.js'), [
+        `const { FixtureLandmarkProvider } = require(${providers});`,
+        `const landmarks = { ${faces[0].imageData.width}: require('./face1.json'), ${faces[1].imageData.width}: require('./face2.json') };`,
+        'module.exports = new FixtureLandmarkProvider(image => [{ landmarks: landmarks[image.width] }]);'
+    ].join('\n'));
+
+    const output = run(dir, ['--image1', 'face1.png', '--image2', 'face2.png', '--detector', 'detector.js', '--out', 'morph.png']);
+    assert.match(output, /Wrote morph\.png/);
+
+    // The same landmarks through a file give the same image
+    run(dir, [
+        '--image1', 'face1.png', '--image2', 'face2.png',
+        '--landmarks1', 'face1.json', '--landmarks2', 'face2.json', '--out', 'expected.png'
+    ]);
+    assert.ok(fs.readFileSync(path.join(dir, 'morph.png')).equals(fs.readFileSync(path.join(dir, 'expected.png'))));
+});
+
+test('reports images the detector finds no face in', (t) => {
+    const { dir } = setUp(t);
+    fs.writeFileSync(path.join(dir, 'nobody.js'), 'module.exports = class { async detectFaces() { return []; } };');
+
+    const result = spawnSync(process.execPath, [CLI, '--image1', 'face1.png', '--image2', 'face2.png', '--detector', 'nobody.js'], {
+        cwd: dir,
+        encoding: 'utf8'
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /No face detected in face1\.png/);
+});
+
+test('rejects a --detector module without detectFaces()', (t) => {
+    const { dir } = setUp(t);
+    fs.writeFileSync(path.join(dir, 'empty.js'), 'module.exports = {};');
+
+    const result = spawnSync(process.execPath, [CLI, '--image1', 'face1.png', '--image2', 'face2.png', '--detector', 'empty.js'], {
+        cwd: dir,
+        encoding: 'utf8'
+    });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /empty\.js must export a provider with detectFaces\(\)/);
+});
@@ -0,0 +1,54 @@
+/**
+ * Landmark provider tests. Run from the repository root with
+ *
+ *   node --test my-project/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { ModelLoadError, FaceApiLandmarkProvider, FixtureLandmarkProvider } = require('../landmark-providers.js');
+const { createFacePair } = require('./synthetic-face.js');
+
+const [FACE] = createFacePair();
+const FIXTURE = { box: { x: 26, y: 22, width: 64, height: 80 }, score: 0.9, landmarks: FACE.landmarks };
+
+test('FixtureLandmarkProvider returns copies of its faces', async () => {
+    const provider = new FixtureLandmarkProvider([FIXTURE]);
+    await provider.load();
+
+    const [face] = await provider.detectFaces(FACE.imageData);
+    assert.deepStrictEqual(face, FIXTURE);
+
+    face.landmarks[0].x = -1;
+    face.box.width = 0;
+    assert.notStrictEqual(FIXTURE.landmarks[0].x, -1);
+    assert.strictEqual(FIXTURE.box.width, 64);
+});
+
+test('FixtureLandmarkProvider passes the input to a fixture function', async () => {
+    const inputs = [];
+    const provider = new FixtureLandmarkProvider(input => {
+        inputs.push(input);
+        return input.width === FACE.imageData.width ? [{ ...FIXTURE, score: undefined }] : null;
+    });
+
+    const [face] = await provider.detectFaces(FACE.imageData);
+    assert.strictEqual(face.score, 1);
+    assert.deepStrictEqual(await provider.detectFaces({ width: 1, height: 1, data: [] }), []);
+    assert.strictEqual(inputs[0], FACE.imageData);
+});
+
+test('FaceApiLandmarkProvider reports a missing face-api.js library', async () => {
+    const provider = new FaceApiLandmarkProvider({ modelUrl: 'weights/' });
+    assert.strictEqual(provider.modelUrl, 'weights');
+
+    await assert.rejects(provider.load(), error => error instanceof ModelLoadError && error.reason === 'library');
+});
+
+test('FaceApiLandmarkProvider explains model loading failures', () => {
+    const provider = new FaceApiLandmarkProvider();
+
+    assert.strictEqual(provider.describeError(new Error('failed to fetch (404)')).reason, 'not-found');
+    assert.strictEqual(provider.describeError(new TypeError('Failed to fetch')).reason, 'network');
+    assert.strictEqual(provider.describeError(new Error('bad weights')).reason, 'invalid');
+});
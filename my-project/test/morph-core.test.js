@@ -0,0 +1,376 @@
+/**
+ * MorphCore tests: Delaunay property, mesh coverage, affine round trips, sampling at the
+ * edges, and golden-image morphs of synthetic faces. Run from the repository root with
+ *
+ *   node --test my-project/test/
+ *
+ * After an intended change to the morph output, rewrite the golden images with
+ *
+ *   UPDATE_GOLDEN=1 node --test my-project/test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MorphCore } = require('../morph-core.js');
+const { decodePng, encodePng } = require('../png-codec.js');
+const { createFacePair } = require('./synthetic-face.js');
+
+const GOLDEN_DIR = path.join(__dirname, 'golden');
+
+// Golden images may differ by one level per channel, for rounding on other platforms
+const GOLDEN_TOLERANCE = 1;
+
+/**
+ * Seeded Mulberry32, so every run checks the same point sets
+ */
+function createRandom(seed) {
+    return () => {
+        seed = (seed + 0x6d2b79f5) >>> 0;
+        let t = seed;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function randomPoints(random, count, width, height) {
+    return Array.from({ length: count }, () => ({ x: random() * width, y: random() * height }));
+}
+
+function doubledArea(a, b, c) {
+    return (b.x - a.x) * (c.y - a.y) - (c.x - a.x) * (b.y - a.y);
+}
+
+/**
+ * Check that no point lies strictly inside any triangle's circumcircle, with a tolerance
+ * relative to the circle so cocircular points (such as grid corners) pass
+ */
+function assertDelaunay(points, triangles) {
+    for (const [i, j, k] of triangles) {
+        const [a, b, c] = [points[i], points[j], points[k]];
+        const d = 2 * doubledArea(a, b, c);
+        assert.notStrictEqual(d, 0, `triangle ${[i, j, k]} is degenerate`);
+
+        const a2 = a.x * a.x + a.y * a.y;
+        const b2 = b.x * b.x + b.y * b.y;
+        const c2 = c.x * c.x + c.y * c.y;
+        const center = {
+            x: (a2 * (b.y - c.y) + b2 * (c.y - a.y) + c2 * (a.y - b.y)) / d,
+            y: (a2 * (c.x - b.x) + b2 * (a.x - c.x) + c2 * (b.x - a.x)) / d
+        };
+        const radius = Math.hypot(a.x - center.x, a.y - center.y);
+
+        points.forEach((p, n) => {
+            if (n === i || n === j || n === k) return;
+            const distance = Math.hypot(p.x - center.x, p.y - center.y);
+            assert.ok(distance >= radius * (1 - 1e-9),
+                `point ${n} is inside the circumcircle of triangle ${[i, j, k]}`);
+        });
+    }
+}
+
+/**
+ * Check that the triangles tile the points' convex hull: no degenerate triangles, and
+ * their areas add up to the hull's area, so nothing is missing and nothing overlaps
+ */
+function assertTilesHull(core, points, triangles) {
+    const hull = core.convexHull(points);
+    let hullArea = 0;
+    for (let i = 1; i < hull.length - 1; i++) {
+        hullArea += Math.abs(doubledArea(hull[0], hull[i], hull[i + 1]));
+    }
+
+    const meshArea = triangles.reduce((sum, [i, j, k]) =>
+        sum + Math.abs(doubledArea(points[i], points[j], points[k])), 0);
+    assert.ok(Math.abs(meshArea - hullArea) <= hullArea * 1e-9,
+        `triangles cover ${meshArea / 2} of a hull of ${hullArea / 2}`);
+}
+
+function countCoverage(core, points, triangles, width, height) {
+    const counts = new Uint8Array(width * height);
+    for (const [i, j, k] of triangles) {
+        core.rasterizeTriangle([points[i], points[j], points[k]], width, height, (x, y) => {
+            counts[y * width + x]++;
+        });
+    }
+    return counts;
+}
+
+function assertCoveredOnce(counts, width) {
+    counts.forEach((count, idx) => {
+        assert.strictEqual(count, 1, `pixel (${idx % width}, ${Math.floor(idx / width)}) is covered ${count} times`);
+    });
+}
+
+test('computeDelaunay', async (t) => {
+    const core = new MorphCore();
+
+    await t.test('meets the empty-circumcircle property for random points', () => {
+        const random = createRandom(1);
+        for (let run = 0; run < 20; run++) {
+            const points = randomPoints(random, 10 + run * 5, 200, 150);
+            const triangles = core.computeDelaunay(points);
+            assertDelaunay(points, triangles);
+            assertTilesHull(core, points, triangles);
+        }
+    });
+
+    await t.test('keeps the hull triangles along collinear boundary points', () => {
+        const random = createRandom(2);
+        const [width, height] = [120, 90];
+        const points = [...randomPoints(random, 40, width, height), ...core.getBoundaryPoints(width, height)];
+        const triangles = core.computeDelaunay(points);
+
+        assertDelaunay(points, triangles);
+        assertTilesHull(core, points, triangles);
+    });
+
+    await t.test('handles boundary points alone', () => {
+        const points = core.getBoundaryPoints(64, 48);
+        const triangles = core.computeDelaunay(points);
+
+        assert.strictEqual(triangles.length, 6);
+        assertDelaunay(points, triangles);
+        assertTilesHull(core, points, triangles);
+    });
+
+    await t.test('handles a grid of cocircular and collinear points', () => {
+        const points = [];
+        for (let y = 0; y <= 6; y++) {
+            for (let x = 0; x <= 6; x++) points.push({ x: x * 10, y: y * 10 });
+        }
+        const triangles = core.computeDelaunay(points);
+
+        assert.strictEqual(triangles.length, 72);
+        assertDelaunay(points, triangles);
+        assertTilesHull(core, points, triangles);
+    });
+
+    await t.test('returns no triangles for fewer than three points', () => {
+        assert.deepStrictEqual(core.computeDelaunay([]), []);
+        assert.deepStrictEqual(core.computeDelaunay([{ x: 0, y: 0 }, { x: 1, y: 1 }]), []);
+    });
+});
+
+test('rasterizeTriangle', async (t) => {
+    const core = new MorphCore();
+
+    await t.test('covers every pixel of the frame exactly once', () => {
+        const random = createRandom(3);
+        for (const [width, height] of [[64, 64], [97, 41], [1, 1], [2, 5]]) {
+            const points = [...randomPoints(random, 30, width, height), ...core.getBoundaryPoints(width, height)];
+            const triangles = core.computeDelaunay(points);
+            assertCoveredOnce(countCoverage(core, points, triangles, width, height), width);
+        }
+    });
+
+    await t.test('covers every pixel once when vertices sit on pixel centers', () => {
+        // Integer vertices put pixels exactly on shared edges, where the tie break decides
+        const random = createRandom(4);
+        const [width, height] = [40, 30];
+        const points = [
+            ...Array.from({ length: 40 }, () => ({
+                x: Math.floor(random() * width),
+                y: Math.floor(random() * height)
+            })),
+            ...core.getBoundaryPoints(width, height)
+        ];
+        const unique = points.filter((p, i) => points.findIndex(q => q.x === p.x && q.y === p.y) === i);
+        const triangles = core.computeDelaunay(unique);
+        assertCoveredOnce(countCoverage(core, unique, triangles, width, height), width);
+    });
+
+    await t.test('visits nothing for a degenerate triangle', () => {
+        let visits = 0;
+        core.rasterizeTriangle([{ x: 0, y: 0 }, { x: 5, y: 5 }, { x: 10, y: 10 }], 20, 20, () => visits++);
+        assert.strictEqual(visits, 0);
+    });
+
+    await t.test('clips to the frame', () => {
+        const visited = [];
+        core.rasterizeTriangle([{ x: -50, y: -50 }, { x: 60, y: -50 }, { x: -50, y: 60 }], 4, 4, (x, y) => visited.push([x, y]));
+        assert.strictEqual(visited.length, 16);
+        assert.ok(visited.every(([x, y]) => x >= 0 && x < 4 && y >= 0 && y < 4));
+    });
+});
+
+test('computeAffine and applyAffine', async (t) => {
+    const core = new MorphCore();
+
+    await t.test('map each source vertex onto its destination vertex', () => {
+        const random = createRandom(5);
+        for (let run = 0; run < 200; run++) {
+            const src = randomPoints(random, 3, 400, 400);
+            const dst = randomPoints(random, 3, 400, 400);
+            if (Math.abs(doubledArea(...src)) < 1 || Math.abs(doubledArea(...dst)) < 1) continue;
+
+            const M = core.computeAffine(src, dst);
+            src.forEach((p, i) => {
+                const q = core.applyAffine(M, p.x, p.y);
+                assert.ok(Math.abs(q.x - dst[i].x) < 1e-6 && Math.abs(q.y - dst[i].y) < 1e-6,
+                    `vertex ${i} maps to (${q.x}, ${q.y}) instead of (${dst[i].x}, ${dst[i].y})`);
+            });
+        }
+    });
+
+    await t.test('round-trip points through the forward and inverse transforms', () => {
+        const random = createRandom(6);
+        for (let run = 0; run < 200; run++) {
+            const src = randomPoints(random, 3, 400, 400);
+            const dst = randomPoints(random, 3, 400, 400);
+            if (Math.abs(doubledArea(...src)) < 100 || Math.abs(doubledArea(...dst)) < 100) continue;
+
+            const forward = core.computeAffine(src, dst);
+            const inverse = core.computeAffine(dst, src);
+            for (const p of randomPoints(random, 5, 400, 400)) {
+                const q = core.applyAffine(forward, p.x, p.y);
+                const back = core.applyAffine(inverse, q.x, q.y);
+                assert.ok(Math.hypot(back.x - p.x, back.y - p.y) < 1e-6,
+                    `(${p.x}, ${p.y}) comes back as (${back.x}, ${back.y})`);
+            }
+        }
+    });
+
+    await t.test('fall back to the identity for a degenerate source triangle', () => {
+        const M = core.computeAffine(
+            [{ x: 0, y: 0 }, { x: 1, y: 1 }, { x: 2, y: 2 }],
+            [{ x: 5, y: 0 }, { x: 0, y: 5 }, { x: 5, y: 5 }]
+        );
+        assert.deepStrictEqual(M, { a: 1, b: 0, c: 0, d: 0, e: 1, f: 0 });
+    });
+});
+
+test('sampleBilinear', async (t) => {
+    const core = new MorphCore();
+
+    // 3x2 image whose red channel is 10 * x + 100 * y
+    const image = core.createImageData(3, 2);
+    for (let y = 0; y < 2; y++) {
+        for (let x = 0; x < 3; x++) {
+            const idx = (y * 3 + x) * 4;
+            image.data[idx] = 10 * x + 100 * y;
+            image.data[idx + 1] = 7;
+            image.data[idx + 2] = 200;
+            image.data[idx + 3] = 255;
+        }
+    }
+    const red = (x, y, bounds) => core.sampleBilinear(image, x, y, bounds).r;
+
+    await t.test('returns pixel values at pixel centers and interpolates between them', () => {
+        assert.strictEqual(red(0, 0), 0);
+        assert.strictEqual(red(2, 1), 120);
+        assert.strictEqual(red(0.5, 0), 5);
+        assert.strictEqual(red(1.5, 0.5), 65);
+    });
+
+    await t.test('clamps coordinates outside the image to the edge pixels', () => {
+        assert.strictEqual(red(-10, -10), 0);
+        assert.strictEqual(red(50, -3), 20);
+        assert.strictEqual(red(-3, 50), 100);
+        assert.strictEqual(red(50, 50), 120);
+        assert.strictEqual(red(1, -0.5), 10);
+        assert.strictEqual(red(2.5, 1), 120);
+    });
+
+    await t.test('samples the last row and column without reading past the buffer', () => {
+        for (const [x, y] of [[2, 0], [2, 1], [0, 1], [1.999999, 0.999999]]) {
+            const color = core.sampleBilinear(image, x, y);
+            assert.ok([color.r, color.g, color.b].every(Number.isFinite), `NaN at (${x}, ${y})`);
+            assert.ok(Math.abs(color.g - 7) < 1e-9 && Math.abs(color.b - 200) < 1e-9);
+        }
+    });
+
+    await t.test('clamps to the given bounds', () => {
+        const bounds = { minX: 1, minY: 0, maxX: 1, maxY: 0 };
+        assert.strictEqual(red(0, 0, bounds), 10);
+        assert.strictEqual(red(2, 1, bounds), 10);
+        assert.strictEqual(red(-5, 5, bounds), 10);
+    });
+});
+
+test('golden morphs of synthetic faces', async (t) => {
+    const [face1, face2] = createFacePair();
+    const cases = [
+        { name: 'stretch-half', options: {}, ratio: 0.5 },
+        { name: 'crop-quarter', options: { fit: 'crop' }, ratio: 0.25 },
+        { name: 'align-split', options: { align: true }, ratio: { shape: 0.5, texture: 0.7 } },
+        {
+            name: 'align-regions-transparent',
+            options: { align: true, background: 'transparent' },
+            ratio: { shape: 0.5, texture: 0.7, regions: { mouth: 1, eyes: { texture: 0 } } }
+        },
+        { name: 'letterbox', options: { fit: 'letterbox' }, ratio: 0.8 },
+        { name: 'letterbox-solid', options: { fit: 'letterbox', background: 'solid', backgroundColor: '#336699' }, ratio: 0.8 }
+    ];
+
+    for (const { name, options, ratio } of cases) {
+        await t.test(name, () => {
+            const core = new MorphCore({ outputWidth: 80, outputHeight: 96, ...options });
+            const source1 = core.prepareImageData(face1.imageData, face1.landmarks);
+            const source2 = core.prepareImageData(face2.imageData, face2.landmarks);
+            const result = core.morphSources(source1, source2, ratio);
+            const file = path.join(GOLDEN_DIR, `${name}.png`);
+
+            if (process.env.UPDATE_GOLDEN) {
+                fs.mkdirSync(GOLDEN_DIR, { recursive: true });
+                fs.writeFileSync(file, encodePng(result));
+                return;
+            }
+
+            const golden = decodePng(fs.readFileSync(file));
+            assert.strictEqual(result.width, golden.width);
+            assert.strictEqual(result.height, golden.height);
+
+            let worst = 0;
+            for (let i = 0; i < golden.data.length; i++) {
+                worst = Math.max(worst, Math.abs(Math.round(result.data[i]) - golden.data[i]));
+            }
+            assert.ok(worst <= GOLDEN_TOLERANCE, `differs from ${path.basename(file)} by up to ${worst} per channel`);
+        });
+    }
+
+    await t.test('a blur of 0 leaves the background sharp, also as a per-call override', () => {
+        const blend = new MorphCore({ outputWidth: 80, outputHeight: 96 });
+        const source1 = blend.prepareImageData(face1.imageData, face1.landmarks);
+        const source2 = blend.prepareImageData(face2.imageData, face2.landmarks);
+        const expected = blend.morphSources(source1, source2, 0.5);
+
+        const unblurred = new MorphCore({ outputWidth: 80, outputHeight: 96, background: 'blur', backgroundBlur: 0 });
+        const blurred = new MorphCore({ outputWidth: 80, outputHeight: 96, background: 'blur' });
+        assert.strictEqual(unblurred.backgroundBlur, 0);
+
+        for (const result of [
+            unblurred.morphSources(source1, source2, 0.5),
+            blurred.morphSources(source1, source2, 0.5, { backgroundBlur: 0 })
+        ]) {
+            let worst = 0;
+            for (let i = 0; i < result.data.length; i++) {
+                worst = Math.max(worst, Math.abs(result.data[i] - expected.data[i]));
+            }
+            assert.ok(worst <= 1, `differs from the blended background by up to ${worst}`);
+        }
+    });
+
+    await t.test('morph ends reproduce the prepared sources', () => {
+        const core = new MorphCore({ outputWidth: 80, outputHeight: 96 });
+        const source1 = core.prepareImageData(face1.imageData, face1.landmarks);
+        const source2 = core.prepareImageData(face2.imageData, face2.landmarks);
+
+        for (const [ratio, source] of [[0, source1], [1, source2]]) {
+            const result = core.morphSources(source1, source2, ratio);
+            let worst = 0;
+            for (let i = 0; i < result.data.length; i++) {
+                worst = Math.max(worst, Math.abs(result.data[i] - source.imageData.data[i]));
+            }
+            assert.ok(worst <= 1, `ratio ${ratio} differs from its source by up to ${worst}`);
+        }
+    });
+});
+
+test('morph-core.mjs exports the same MorphCore as an ES module', async () => {
+    const esm = await import('../morph-core.mjs');
+    assert.strictEqual(esm.MorphCore, MorphCore);
+    assert.strictEqual(esm.default, MorphCore);
+});
@@ -0,0 +1,120 @@
+/**
+ * Synthetic faces for the tests
+ * Draws a cartoon face into an RGBA buffer together with its 68 landmarks, so morphs can be
+ * checked without photos or a face detector. Everything is plain arithmetic and deterministic.
+ */
+
+/**
+ * 68 landmarks in the standard order: jaw, brows, nose, eyes, outer and inner mouth
+ * @param {Object} face - { cx, cy, width, height, eyeGap, mouthWidth } in pixels
+ */
+function createLandmarks(face) {
+    const { cx, cy, width, height, eyeGap, mouthWidth } = face;
+    const points = [];
+    const ellipse = (x, y, rx, ry, count, start = 0) => {
+        for (let i = 0; i < count; i++) {
+            const t = start + (i / count) * Math.PI * 2;
+            points.push({ x: x + rx * Math.cos(t), y: y + ry * Math.sin(t) });
+        }
+    };
+
+    // Jaw, from the left ear around the chin to the right ear
+    for (let i = 0; i < 17; i++) {
+        const t = Math.PI - (i / 16) * Math.PI;
+        points.push({ x: cx + (width / 2) * Math.cos(t), y: cy + (height / 2) * Math.sin(t) });
+    }
+
+    // Brows, five points each
+    const eyeY = cy - height * 0.12;
+    for (const side of [-1, 1]) {
+        for (let i = 0; i < 5; i++) {
+            const x = cx + side * eyeGap / 2 + (i - 2) * width * 0.05;
+            points.push({ x, y: eyeY - height * 0.1 - (2 - Math.abs(i - 2)) * height * 0.01 });
+        }
+    }
+
+    // Nose bridge, then the nostrils from left to right
+    for (let i = 0; i < 4; i++) {
+        points.push({ x: cx, y: eyeY + (i + 1) * height * 0.05 });
+    }
+    for (let i = 0; i < 5; i++) {
+        points.push({ x: cx + (i - 2) * width * 0.04, y: eyeY + height * 0.24 });
+    }
+
+    // Eyes, six points each
+    ellipse(cx - eyeGap / 2, eyeY, width * 0.08, height * 0.03, 6, Math.PI);
+    ellipse(cx + eyeGap / 2, eyeY, width * 0.08, height * 0.03, 6, Math.PI);
+
+    // Mouth, twelve outer and eight inner points
+    const mouthY = cy + height * 0.22;
+    ellipse(cx, mouthY, mouthWidth / 2, height * 0.06, 12, Math.PI);
+    ellipse(cx, mouthY, mouthWidth * 0.4, height * 0.025, 8, Math.PI);
+
+    return points;
+}
+
+/**
+ * Draw a face over a vertical gradient
+ * @param {number} imageWidth
+ * @param {number} imageHeight
+ * @param {Object} face - { cx, cy, width, height, eyeGap, mouthWidth, skin, background } with colors as [r, g, b]
+ * @returns {{imageData: Object, landmarks: Array}}
+ */
+function createSyntheticFace(imageWidth, imageHeight, face) {
+    const data = new Uint8ClampedArray(imageWidth * imageHeight * 4);
+    const landmarks = createLandmarks(face);
+    const eyeY = face.cy - face.height * 0.12;
+    const mouthY = face.cy + face.height * 0.22;
+    const inEllipse = (x, y, ex, ey, rx, ry) => ((x - ex) / rx) ** 2 + ((y - ey) / ry) ** 2 <= 1;
+
+    for (let y = 0; y < imageHeight; y++) {
+        for (let x = 0; x < imageWidth; x++) {
+            const px = x + 0.5;
+            const py = y + 0.5;
+            const shade = y / imageHeight;
+            let color = face.background.map(c => Math.round(c * (1 - 0.5 * shade)));
+
+            if (inEllipse(px, py, face.cx, face.cy, face.width / 2, face.height / 2)) {
+                color = face.skin;
+            }
+            if (inEllipse(px, py, face.cx - face.eyeGap / 2, eyeY, face.width * 0.08, face.height * 0.03) ||
+                inEllipse(px, py, face.cx + face.eyeGap / 2, eyeY, face.width * 0.08, face.height * 0.03)) {
+                color = [30, 30, 60];
+            }
+            if (inEllipse(px, py, face.cx, mouthY, face.mouthWidth / 2, face.height * 0.06)) {
+                color = [170, 40, 50];
+            }
+
+            const idx = (y * imageWidth + x) * 4;
+            data[idx] = color[0];
+            data[idx + 1] = color[1];
+            data[idx + 2] = color[2];
+            data[idx + 3] = 255;
+        }
+    }
+
+    return { imageData: { width: imageWidth, height: imageHeight, data }, landmarks };
+}
+
+/**
+ * The two faces the golden images are made from: different sizes, positions, features and colors
+ */
+function createFacePair() {
+    return [
+        createSyntheticFace(120, 120, {
+            cx: 58, cy: 62, width: 64, height: 80, eyeGap: 26, mouthWidth: 24,
+            skin: [232, 190, 160], background: [90, 140, 200]
+        }),
+        createSyntheticFace(100, 130, {
+            cx: 52, cy: 70, width: 70, height: 74, eyeGap: 32, mouthWidth: 34,
+            skin: [140, 100, 70], background: [60, 170, 90]
+        })
+    ];
+}
+
+// Export for Node.js, or for webgl-parity.html in the page
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { createSyntheticFace, createFacePair };
+} else {
+    self.SyntheticFace = { createSyntheticFace, createFacePair };
+}
@@ -0,0 +1,11 @@
+/**
+ * WebGL renderer parity: webgl-parity.html morphs the synthetic faces with both renderers
+ * and compares the pixels within the tolerance stated in the page
+ */
+
+const test = require('node:test');
+const { runPage } = require('./browser.js');
+
+test('WebGL output matches the CPU path', (t) => {
+    runPage(t, 'webgl-parity.html');
+});
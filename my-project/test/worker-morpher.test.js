@@ -0,0 +1,123 @@
+/**
+ * WorkerMorpher and morph-worker.js, run together in vm contexts joined by a fake Worker,
+ * with createImageBitmap calls that finish in the order the test chooses
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Load both scripts. The worker's FaceMorpher stand-in renders the landmarks it was given,
+ * so a frame shows which faces the worker holds, and rejects 'bad landmarks'.
+ */
+function loadMorphers() {
+    const bitmaps = [];
+    const delivered = [];
+
+    const workerScope = {
+        postMessage: (message) => delivered.push(() => pageWorker.onmessage({ data: message })),
+        importScripts: () => {
+            workerScope.FaceMorpher = class {
+                prepareSource(bitmap, landmarks) {
+                    if (landmarks === 'bad landmarks') throw new Error('Bad landmarks');
+                    return landmarks;
+                }
+
+                morphSources(source1) {
+                    return { data: { buffer: null }, source: source1 };
+                }
+            };
+        }
+    };
+    workerScope.self = workerScope;
+    vm.createContext(workerScope);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'morph-worker.js'), 'utf8'), workerScope);
+
+    const pageWorker = {
+        postMessage: (message) => delivered.push(() => workerScope.onmessage({ data: message }))
+    };
+    const page = {
+        window: {},
+        Worker: function () {
+            return pageWorker;
+        },
+        createImageBitmap: (img) => new Promise(resolve => bitmaps.push({ img, resolve }))
+    };
+    vm.createContext(page);
+    vm.runInContext(fs.readFileSync(path.join(ROOT, 'worker-morpher.js'), 'utf8'), page);
+
+    /**
+     * Deliver posted messages until none are left
+     */
+    async function flush() {
+        await new Promise(resolve => setImmediate(resolve));
+        while (delivered.length > 0) {
+            delivered.shift()();
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    /**
+     * Finish the createImageBitmap calls made for one image
+     */
+    function finishBitmaps(img) {
+        bitmaps.filter(bitmap => bitmap.img === img)
+            .forEach(bitmap => bitmap.resolve({ closed: false, close() { this.closed = true; } }));
+    }
+
+    return { morpher: new page.window.WorkerMorpher(), flush, finishBitmaps };
+}
+
+test('an older setSources that finishes last does not replace newer faces', async () => {
+    const { morpher, flush, finishBitmaps } = loadMorphers();
+
+    const older = morpher.setSources('old', 'old', 'old landmarks', 'landmarks', {});
+    const newer = morpher.setSources('new', 'new', 'new landmarks', 'landmarks', {});
+    finishBitmaps('new');
+    await newer;
+    finishBitmaps('old');
+    await older;
+    await flush();
+
+    const frame = morpher.render(0.5);
+    await flush();
+    assert.strictEqual((await frame).source, 'new landmarks');
+});
+
+test('frames from faces that have since been replaced resolve with null', async () => {
+    const { morpher, flush, finishBitmaps } = loadMorphers();
+
+    const first = morpher.setSources('a', 'a', 'a landmarks', 'landmarks', {});
+    finishBitmaps('a');
+    await first;
+    await flush();
+
+    // New faces are still being turned into bitmaps when the frame comes back
+    const frame = morpher.render(0.5);
+    morpher.setSources('b', 'b', 'b landmarks', 'landmarks', {});
+    await flush();
+    assert.strictEqual(await frame, null);
+});
+
+test('renders reject when the worker cannot prepare the newest faces', async () => {
+    const { morpher, flush, finishBitmaps } = loadMorphers();
+
+    const first = morpher.setSources('a', 'a', 'a landmarks', 'landmarks', {});
+    finishBitmaps('a');
+    await first;
+    await flush();
+
+    const bad = morpher.setSources('b', 'b', 'bad landmarks', 'landmarks', {});
+    finishBitmaps('b');
+    await bad;
+    const frame = assert.rejects(morpher.render(0.5), /Bad landmarks/);
+    await flush();
+
+    await frame;
+    await assert.rejects(morpher.render(0.5), /unavailable/);
+});
@@ -0,0 +1,243 @@
+/**
+ * WebGL Face Morphing Renderer
+ * Draws the Delaunay triangles as a textured mesh and blends both faces in a fragment
+ * shader. Geometry comes from FaceMorpher, so output matches the CPU path up to texture
+ * filtering and rounding; test/webgl-parity.html checks the per-channel difference.
+ * Falls back to the CPU path when WebGL is unavailable.
+ */
+
+const MORPH_VERTEX_SHADER = `
+attribute vec2 aPosition;
+attribute vec2 aUv1;
+attribute vec2 aUv2;
+attribute float aRatio;
+uniform vec2 uOutputSize;
+varying vec2 vUv1;
+varying vec2 vUv2;
+varying float vRatio;
+
+void main() {
+    // Pixel centers sit at +0.5, matching the integer sample positions of the CPU path
+    vec2 clip = (aPosition + 0.5) / uOutputSize * 2.0 - 1.0;
+    gl_Position = vec4(clip, 0.0, 1.0);
+    vUv1 = aUv1;
+    vUv2 = aUv2;
+    vRatio = aRatio;
+}
+`;
+
+const MORPH_FRAGMENT_SHADER = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+precision highp float;
+#else
+precision mediump float;
+#endif
+
+uniform sampler2D uImage1;
+uniform sampler2D uImage2;
+uniform vec4 uBounds1;
+uniform vec4 uBounds2;
+varying vec2 vUv1;
+varying vec2 vUv2;
+varying float vRatio;
+
+void main() {
+    // Clamp to the area covered by each source, as FaceMorpher.sampleBilinear() does
+    vec3 color1 = texture2D(uImage1, clamp(vUv1, uBounds1.xy, uBounds1.zw)).rgb;
+    vec3 color2 = texture2D(uImage2, clamp(vUv2, uBounds2.xy, uBounds2.zw)).rgb;
+    // Per-vertex texture ratios are interpolated across each triangle, like FaceMorpher.warpTriangle()
+    gl_FragColor = vec4(mix(color1, color2, vRatio), 1.0);
+}
+`;
+
+class WebGLMorpher extends FaceMorpher {
+    constructor(options) {
+        super(options);
+        this.gl = null;
+        this.glFailed = false;
+        this.uploaded = [null, null];
+    }
+
+    /**
+     * Check whether the browser can create a WebGL context
+     */
+    static isSupported() {
+        try {
+            const canvas = document.createElement('canvas');
+            return !!(window.WebGLRenderingContext && canvas.getContext('webgl'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Warp and cross-fade both sources on the GPU. Backgrounds are applied afterwards by morphSources().
+     * @param {Object} source1 - Prepared source for face 1 (see prepareSource)
+     * @param {Object} source2 - Prepared source for face 2
+     * @param {number|Object} ratio - Blend ratio, or { shape, texture, regions } (see FaceMorpher.morph)
+     * @returns {ImageData} - Morphed face image data
+     */
+    renderMorph(source1, source2, ratio) {
+        const gl = this.getContext();
+        if (!gl) {
+            return super.renderMorph(source1, source2, ratio);
+        }
+
+        // Same geometry as the CPU path
+        const width = source1.imageData.width;
+        const height = source1.imageData.height;
+        const { points1: allPts1, points2: allPts2, points: avgPts, triangles, textures } =
+            this.getMorphGeometry(source1.points, source2.points, ratio, width, height);
+
+        // Interleave destination position, both source texture coordinates and the texture ratio per vertex
+        const vertices = new Float32Array(triangles.length * 3 * 7);
+        let offset = 0;
+
+        for (const tri of triangles) {
+            for (const idx of tri) {
+                vertices[offset++] = avgPts[idx].x;
+                vertices[offset++] = avgPts[idx].y;
+                vertices[offset++] = (allPts1[idx].x + 0.5) / width;
+                vertices[offset++] = (allPts1[idx].y + 0.5) / height;
+                vertices[offset++] = (allPts2[idx].x + 0.5) / width;
+                vertices[offset++] = (allPts2[idx].y + 0.5) / height;
+                vertices[offset++] = textures[idx];
+            }
+        }
+
+        gl.canvas.width = width;
+        gl.canvas.height = height;
+        gl.viewport(0, 0, width, height);
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+
+        this.uploadTexture(0, source1.imageData);
+        this.uploadTexture(1, source2.imageData);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        gl.bufferData(gl.ARRAY_BUFFER, vertices, gl.STREAM_DRAW);
+        gl.uniform2f(this.locations.uOutputSize, width, height);
+        gl.uniform4fv(this.locations.uBounds1, this.boundsToUv(source1));
+        gl.uniform4fv(this.locations.uBounds2, this.boundsToUv(source2));
+        gl.drawArrays(gl.TRIANGLES, 0, triangles.length * 3);
+
+        // Row 0 of the framebuffer is output row 0, so no vertical flip is needed
+        const pixels = new Uint8Array(width * height * 4);
+        gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+        return new ImageData(new Uint8ClampedArray(pixels.buffer), width, height);
+    }
+
+    /**
+     * Lazily create the WebGL context and shader program, or null if unavailable
+     */
+    getContext() {
+        if (this.gl && !this.gl.isContextLost()) return this.gl;
+        if (this.glFailed) return null;
+
+        try {
+            const canvas = this.createCanvas(this.outputWidth, this.outputHeight);
+            const gl = canvas.getContext('webgl', {
+                premultipliedAlpha: false,
+                preserveDrawingBuffer: true,
+                antialias: false
+            });
+            if (!gl) throw new Error('WebGL is not available');
+
+            this.initProgram(gl);
+            this.gl = gl;
+            this.uploaded = [null, null];
+            return gl;
+        } catch (error) {
+            console.warn('WebGL morph renderer unavailable, using CPU:', error);
+            this.glFailed = true;
+            return null;
+        }
+    }
+
+    initProgram(gl) {
+        const program = gl.createProgram();
+        gl.attachShader(program, this.compileShader(gl, gl.VERTEX_SHADER, MORPH_VERTEX_SHADER));
+        gl.attachShader(program, this.compileShader(gl, gl.FRAGMENT_SHADER, MORPH_FRAGMENT_SHADER));
+        gl.linkProgram(program);
+
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error('Shader link failed: ' + gl.getProgramInfoLog(program));
+        }
+
+        gl.useProgram(program);
+
+        this.locations = {
+            uOutputSize: gl.getUniformLocation(program, 'uOutputSize'),
+            uBounds1: gl.getUniformLocation(program, 'uBounds1'),
+            uBounds2: gl.getUniformLocation(program, 'uBounds2')
+        };
+        gl.uniform1i(gl.getUniformLocation(program, 'uImage1'), 0);
+        gl.uniform1i(gl.getUniformLocation(program, 'uImage2'), 1);
+
+        // Vertex layout: position (2), uv1 (2), uv2 (2), texture ratio (1)
+        this.vertexBuffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+        const stride = 7 * 4;
+        [['aPosition', 0, 2], ['aUv1', 2, 2], ['aUv2', 4, 2], ['aRatio', 6, 1]].forEach(([name, index, size]) => {
+            const location = gl.getAttribLocation(program, name);
+            gl.enableVertexAttribArray(location);
+            gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, index * 4);
+        });
+
+        this.textures = [0, 1].map(unit => {
+            const texture = gl.createTexture();
+            gl.activeTexture(gl.TEXTURE0 + unit);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+            gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+            return texture;
+        });
+    }
+
+    compileShader(gl, type, source) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error('Shader compile failed: ' + gl.getShaderInfoLog(shader));
+        }
+        return shader;
+    }
+
+    /**
+     * Convert a source's pixel content bounds to texture coordinates (texel centers)
+     */
+    boundsToUv(source) {
+        const { width, height } = source.imageData;
+        const b = source.bounds || { minX: 0, minY: 0, maxX: width - 1, maxY: height - 1 };
+
+        return [
+            (b.minX + 0.5) / width,
+            (b.minY + 0.5) / height,
+            (b.maxX + 0.5) / width,
+            (b.maxY + 0.5) / height
+        ];
+    }
+
+    /**
+     * Upload source pixels to a texture unit, skipping the upload if unchanged
+     */
+    uploadTexture(unit, imageData) {
+        if (this.uploaded[unit] === imageData) return;
+
+        const gl = this.gl;
+        gl.activeTexture(gl.TEXTURE0 + unit);
+        gl.bindTexture(gl.TEXTURE_2D, this.textures[unit]);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, imageData);
+        this.uploaded[unit] = imageData;
+    }
+}
+
+// Export for use in app.js
+window.WebGLMorpher = WebGLMorpher;
@@ -0,0 +1,126 @@
+/**
+ * Worker-backed Morph Renderer
+ * Runs FaceMorpher in a Web Worker so dragging the blend slider never blocks the UI
+ */
+
+class WorkerMorpher {
+    constructor(workerUrl = 'morph-worker.js') {
+        this.worker = new Worker(workerUrl);
+        this.worker.onmessage = (e) => this.handleMessage(e.data);
+        this.worker.onerror = (e) => this.handleFailure(new Error(e.message || 'Morph worker failed to start'));
+
+        this.version = 0;
+        this.nextId = 1;
+        this.inFlight = null;
+        this.queued = null;
+        this.failed = false;
+    }
+
+    /**
+     * Check whether the browser can render morphs in a worker
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' &&
+            typeof OffscreenCanvas !== 'undefined' &&
+            typeof createImageBitmap !== 'undefined';
+    }
+
+    /**
+     * Send both faces to the worker. Only needs to be called when a face, its landmarks
+     * or the output options change. The version is taken before the bitmaps are made, so
+     * frames from older faces are dropped at once and an older call that finishes last
+     * cannot replace newer faces in the worker. If the worker cannot prepare the newest
+     * faces, waiting and later renders reject as if the worker had failed.
+     */
+    async setSources(img1, img2, landmarks1, landmarks2, options) {
+        const version = ++this.version;
+        const [bitmap1, bitmap2] = await Promise.all([
+            createImageBitmap(img1),
+            createImageBitmap(img2)
+        ]);
+
+        this.worker.postMessage({
+            type: 'init',
+            version,
+            bitmap1,
+            bitmap2,
+            landmarks1,
+            landmarks2,
+            options
+        }, [bitmap1, bitmap2]);
+    }
+
+    /**
+     * Request a frame. Only one frame renders at a time; if another request arrives while
+     * one is in flight it replaces any request still waiting, which resolves with null.
+     * @param {number|Object} ratio - Blend ratio, or { shape, texture } (see FaceMorpher.morph)
+     * @returns {Promise<ImageData|null>} - Rendered frame, or null if the request was dropped
+     */
+    render(ratio) {
+        if (this.failed) {
+            return Promise.reject(new Error('Morph worker is unavailable'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const request = { ratio, resolve, reject };
+
+            if (this.inFlight) {
+                if (this.queued) this.queued.resolve(null);
+                this.queued = request;
+            } else {
+                this.send(request);
+            }
+        });
+    }
+
+    send(request) {
+        request.id = this.nextId++;
+        this.inFlight = request;
+        this.worker.postMessage({ type: 'render', id: request.id, ratio: request.ratio });
+    }
+
+    handleMessage(message) {
+        // The worker could not take the newest faces; older ones were replaced anyway
+        if (message.type === 'init-error') {
+            if (message.version === this.version) {
+                this.handleFailure(new Error(message.message));
+            }
+            return;
+        }
+
+        const request = this.inFlight;
+        if (!request || message.id !== request.id) return;
+
+        this.inFlight = null;
+        if (this.queued) {
+            const next = this.queued;
+            this.queued = null;
+            this.send(next);
+        }
+
+        if (message.type === 'error') {
+            request.reject(new Error(message.message));
+        } else {
+            // Frames rendered from faces that have since been replaced are stale
+            request.resolve(message.version === this.version ? message.imageData : null);
+        }
+    }
+
+    handleFailure(error) {
+        this.failed = true;
+
+        [this.inFlight, this.queued].forEach(request => {
+            if (request) request.reject(error);
+        });
+        this.inFlight = null;
+        this.queued = null;
+    }
+
+    terminate() {
+        this.worker.terminate();
+        this.handleFailure(new Error('Morph worker was terminated'));
+    }
+}
+
+// Export for use in app.js
+window.WorkerMorpher = WorkerMorpher;
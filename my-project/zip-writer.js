@@ -0,0 +1,108 @@
+/**
+ * ZIP Writer
+ * Packs files into an uncompressed (stored) ZIP archive. Used for PNG frame sequences,
+ * which are already compressed, so deflating them again would only cost time.
+ */
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+class ZipWriter {
+    constructor() {
+        this.parts = [];
+        this.entries = [];
+        this.offset = 0;
+    }
+
+    static crc32(data) {
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+
+    /**
+     * @param {string} name - Path inside the archive, e.g. 'frames/frame-0001.png'
+     * @param {Uint8Array} data - File contents
+     * @param {Date} [date] - Modification time
+     */
+    addFile(name, data, date = new Date()) {
+        const nameBytes = new TextEncoder().encode(name);
+        const entry = {
+            nameBytes,
+            crc: ZipWriter.crc32(data),
+            size: data.length,
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((Math.max(1980, date.getFullYear()) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+            offset: this.offset
+        };
+
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        this.writeEntryFields(header, 4, entry);
+
+        const headerBytes = new Uint8Array(header.buffer);
+        this.parts.push(headerBytes, nameBytes, data);
+        this.offset += headerBytes.length + nameBytes.length + data.length;
+        this.entries.push(entry);
+    }
+
+    /**
+     * Fields shared by the local file header and the central directory, from "version needed" on
+     */
+    writeEntryFields(view, offset, entry) {
+        view.setUint16(offset, 20, true);                     // Version needed to extract
+        view.setUint16(offset + 2, 0x0800, true);             // Flags: UTF-8 file name
+        view.setUint16(offset + 4, 0, true);                  // Method: stored
+        view.setUint16(offset + 6, entry.time, true);
+        view.setUint16(offset + 8, entry.date, true);
+        view.setUint32(offset + 10, entry.crc, true);
+        view.setUint32(offset + 14, entry.size, true);        // Compressed size
+        view.setUint32(offset + 18, entry.size, true);        // Uncompressed size
+        view.setUint16(offset + 22, entry.nameBytes.length, true);
+        view.setUint16(offset + 24, 0, true);                 // Extra field length
+    }
+
+    /**
+     * Write the central directory and return the archive
+     * @returns {Blob}
+     */
+    finish() {
+        const directoryOffset = this.offset;
+        let directorySize = 0;
+
+        for (const entry of this.entries) {
+            const header = new DataView(new ArrayBuffer(46));
+            header.setUint32(0, 0x02014b50, true);
+            header.setUint16(4, 20, true);                    // Version made by
+            this.writeEntryFields(header, 6, entry);
+            header.setUint32(42, entry.offset, true);         // Comment, disk and attributes stay 0
+
+            this.parts.push(new Uint8Array(header.buffer), entry.nameBytes);
+            directorySize += 46 + entry.nameBytes.length;
+        }
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, directoryOffset, true);
+        this.parts.push(new Uint8Array(end.buffer));
+
+        return new Blob(this.parts, { type: 'application/zip' });
+    }
+}
+
+// Export for use in app.js
+window.ZipWriter = ZipWriter;
@@ -0,0 +1,224 @@
+/**
+ * SnakeEngine tests. Run from the repository root with
+ *
+ *   node --test test/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { SnakeEngine } = require('../js/snake-engine.js');
+
+const MOVES = {
+    up: { x: 0, y: -1 },
+    down: { x: 0, y: 1 },
+    left: { x: -1, y: 0 },
+    right: { x: 1, y: 0 }
+};
+
+const OPPOSITES = { up: 'down', down: 'up', left: 'right', right: 'left' };
+
+const sameCell = (a, b) => a.x === b.x && a.y === b.y;
+
+/**
+ * A game in progress with the snake laid out as given, head first
+ */
+function gameWithSnake(snake, direction, options = {}) {
+    return { ...SnakeEngine.createGame({ cols: 10, rows: 10, ...options }), snake, direction, status: 'playing' };
+}
+
+/**
+ * Mostly greedy player: heads for the food along a move that does not end the game, and
+ * now and then takes another safe move so it does not circle behind an obstacle forever
+ * @returns {{input: string, seed: number}}
+ */
+function chooseInput(state, seed) {
+    const head = state.snake[0];
+    const body = state.snake.slice(0, -1);
+    const safe = Object.keys(MOVES).filter(direction => {
+        if (direction === OPPOSITES[state.direction]) return false;
+
+        let x = head.x + MOVES[direction].x;
+        let y = head.y + MOVES[direction].y;
+        if (state.mode === 'wrap') {
+            x = (x + state.cols) % state.cols;
+            y = (y + state.rows) % state.rows;
+        }
+        const cell = { x, y };
+        return x >= 0 && x < state.cols && y >= 0 && y < state.rows &&
+            !body.some(part => sameCell(part, cell)) && !state.obstacles.some(part => sameCell(part, cell));
+    });
+    if (safe.length === 0) return { input: null, seed };
+
+    const distance = direction => Math.abs(head.x + MOVES[direction].x - state.food.x) +
+        Math.abs(head.y + MOVES[direction].y - state.food.y);
+    safe.sort((a, b) => distance(a) - distance(b));
+
+    const random = SnakeEngine.nextRandom(seed);
+    const pick = random.value < 0.8 ? 0 : Math.floor(random.value * 10) % safe.length;
+    return { input: safe[pick], seed: random.seed };
+}
+
+/**
+ * Play a game with chooseInput and record it like SnakeGame does
+ */
+function playGame(options, maxTicks = 3000) {
+    let state = SnakeEngine.createGame(options);
+    const states = [];
+    const inputs = [];
+    let seed = options.seed;
+
+    while (state.status !== 'over' && state.status !== 'won' && inputs.length < maxTicks) {
+        const choice = chooseInput(state, seed);
+        const input = choice.input;
+        seed = choice.seed;
+        inputs.push(input);
+        state = SnakeEngine.step(state, input);
+        states.push(state);
+    }
+
+    return { recording: { options, inputs }, states, state };
+}
+
+test('a wall hit ends the game', () => {
+    let state = SnakeEngine.createGame({ cols: 10, rows: 10 });
+    const start = state.snake[0];
+
+    // The head reaches the last column, then the next move leaves the board
+    for (let x = start.x + 1; x < 10; x++) {
+        state = SnakeEngine.step(state, 'right');
+        assert.strictEqual(state.status, 'playing');
+        assert.deepStrictEqual(state.snake[0], { x, y: start.y });
+    }
+    state = SnakeEngine.step(state, 'right');
+    assert.strictEqual(state.status, 'over');
+
+    // Finished games stay as they are
+    assert.strictEqual(SnakeEngine.step(state, 'up'), state);
+});
+
+test('wrap-around mode has no walls', () => {
+    let state = SnakeEngine.createGame({ cols: 10, rows: 10, mode: 'wrap' });
+    for (let i = 0; i < 10; i++) {
+        state = SnakeEngine.step(state, 'left');
+    }
+    assert.strictEqual(state.status, 'playing');
+});
+
+test('an obstacle ends the game', () => {
+    const state = SnakeEngine.createGame({ cols: 20, rows: 20, mode: 'cross' });
+    const wall = state.obstacles[0];
+    const next = SnakeEngine.step(gameWithSnake([{ x: wall.x - 1, y: wall.y }], 'right', { cols: 20, rows: 20, mode: 'cross' }), 'right');
+    assert.strictEqual(next.status, 'over');
+});
+
+test('the snake cannot move through its own body', () => {
+    // Head at (5, 5) moving left, the body curling round below it
+    const snake = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 6 }, { x: 5, y: 6 }, { x: 4, y: 6 }];
+    const state = gameWithSnake(snake, 'left', { seed: 7 });
+
+    assert.strictEqual(SnakeEngine.step(state, 'down').status, 'over');
+});
+
+test('the head may follow the tail out of its cell', () => {
+    // A square loop: the head moves into the cell the tail leaves this tick
+    const snake = [{ x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 6 }, { x: 5, y: 6 }];
+    const state = { ...gameWithSnake(snake, 'left'), food: { x: 0, y: 0 } };
+    const next = SnakeEngine.step(state, 'down');
+
+    assert.strictEqual(next.status, 'playing');
+    assert.deepStrictEqual(next.snake, [{ x: 5, y: 6 }, { x: 5, y: 5 }, { x: 6, y: 5 }, { x: 6, y: 6 }]);
+});
+
+test('reversing onto the body is ignored', () => {
+    const snake = [{ x: 5, y: 5 }, { x: 4, y: 5 }];
+    const state = { ...gameWithSnake(snake, 'right'), food: { x: 0, y: 0 } };
+    const next = SnakeEngine.step(state, 'left');
+
+    assert.strictEqual(next.status, 'playing');
+    assert.strictEqual(next.direction, 'right');
+    assert.deepStrictEqual(next.snake[0], { x: 6, y: 5 });
+});
+
+test('eating grows the snake, scores and moves the food', () => {
+    const created = SnakeEngine.createGame({ cols: 10, rows: 10, seed: 3 });
+    const head = created.snake[0];
+    const state = { ...created, food: { x: head.x + 1, y: head.y } };
+    const next = SnakeEngine.step(state, 'right');
+
+    assert.strictEqual(next.score, 1);
+    assert.deepStrictEqual(next.snake, [{ x: head.x + 1, y: head.y }, head]);
+    assert.ok(!next.snake.some(cell => sameCell(cell, next.food)));
+    assert.notStrictEqual(next.seed, state.seed);
+
+    // The next move keeps the new length
+    const after = SnakeEngine.step(next, 'down');
+    assert.strictEqual(after.snake.length, 2);
+    assert.strictEqual(after.score, 1);
+});
+
+test('step does not mutate its argument', () => {
+    const state = SnakeEngine.createGame({ seed: 11 });
+    const copy = JSON.parse(JSON.stringify(state));
+    SnakeEngine.step(state, 'up');
+    assert.deepStrictEqual(state, copy);
+});
+
+test('food never spawns on the snake or an obstacle', () => {
+    for (const { id } of SnakeEngine.getModes()) {
+        const { states, state } = playGame({ cols: 20, rows: 20, seed: 12345, mode: id });
+        assert.ok(state.score >= 5, `${id}: the test game only scored ${state.score}`);
+
+        for (const { snake, obstacles, food } of states) {
+            if (!food) continue;
+            assert.ok(!snake.some(cell => sameCell(cell, food)), `${id}: food on the snake`);
+            assert.ok(!obstacles.some(cell => sameCell(cell, food)), `${id}: food on an obstacle`);
+        }
+    }
+});
+
+test('placeFood only picks free cells, and none once the board is full', () => {
+    const cols = 4;
+    const rows = 3;
+    const all = [];
+    for (let y = 0; y < rows; y++) {
+        for (let x = 0; x < cols; x++) all.push({ x, y });
+    }
+
+    let seed = 99;
+    for (let free = 1; free < all.length; free++) {
+        const occupied = all.slice(free);
+        const placed = SnakeEngine.placeFood(occupied, cols, rows, seed);
+        assert.ok(all.slice(0, free).some(cell => sameCell(cell, placed.food)));
+        seed = placed.seed;
+    }
+
+    assert.deepStrictEqual(SnakeEngine.placeFood(all, cols, rows, seed), { food: null, seed });
+});
+
+test('filling the board wins the game', () => {
+    // Two free cells: the food and the one the head moves into after eating it
+    const snake = [{ x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    const state = { ...gameWithSnake(snake, 'up', { cols: 2, rows: 2 }), food: { x: 0, y: 0 } };
+    const next = SnakeEngine.step(state, 'left');
+
+    assert.strictEqual(next.status, 'won');
+    assert.strictEqual(next.food, null);
+    assert.strictEqual(next.score, state.score + 1);
+});
+
+test('the same seed places the same food', () => {
+    const a = SnakeEngine.createGame({ seed: 42, mode: 'pillars' });
+    const b = SnakeEngine.createGame({ seed: 42, mode: 'pillars' });
+    assert.deepStrictEqual(a, b);
+});
+
+test('replay() reproduces a live game', () => {
+    for (const { id } of SnakeEngine.getModes()) {
+        const live = playGame({ cols: 20, rows: 20, seed: 2024, mode: id });
+        const replayed = [];
+        const final = SnakeEngine.replay(live.recording, state => replayed.push(state));
+
+        assert.deepStrictEqual(replayed, live.states, `${id}: replay went a different way`);
+        assert.deepStrictEqual(final, live.state);
+    }
+});